@@ -1,73 +1,162 @@
 // lib/airtable.js
 import fetch from "node-fetch";
 
+import { TABLES, FIELDS } from "./fieldmap.js";
+import { LOCALES } from "./i18n.js";
+import { OFFER_STATUSES, DENY_REASONS } from "./offers.js";
+
 const {
   AIRTABLE_API_KEY,
   AIRTABLE_BASE_ID,
 
-  // Tables
-  AIRTABLE_TABLE_INVENTORY    = "Inventory",
-  AIRTABLE_TABLE_OFFER_MSGS   = "Offer Messages",
-  AIRTABLE_TABLE_EXTERNAL     = "External Sales Log",
-  AIRTABLE_TABLE_SALES        = "Sales",
-  AIRTABLE_TABLE_AFFILIATE    = "Affiliate Sales",
+  // Client: Airtable allows 5 requests/s per base
+  AIRTABLE_RATE_PER_SEC       = "5",
+  AIRTABLE_MAX_RETRIES        = "5",
+
+  // Inventory Linked Seller / Seller Country cache (0 = off)
+  INVENTORY_CACHE_TTL_MS      = "60000",
+} = process.env;
+
+// Table and field names come from the field map (config/fields.json, see lib/fieldmap.js)
+const {
+  inventory:    AIRTABLE_TABLE_INVENTORY,
+  offers:       AIRTABLE_TABLE_OFFER_MSGS,
+  external:     AIRTABLE_TABLE_EXTERNAL,
+  sales:        AIRTABLE_TABLE_SALES,
+  affiliate:    AIRTABLE_TABLE_AFFILIATE,
+  sellers:      AIRTABLE_TABLE_SELLERS,
+  extUnits:     AIRTABLE_TABLE_EXT_UNITS,     // one row per confirmed unit (multi-quantity orders)
+  reservations: AIRTABLE_TABLE_RESERVATIONS,  // one Active row per confirmed, not yet finalized unit
+} = TABLES;
+
+const {
+  // Seller fields (Discord binding)
+  sellers: {
+    sellerId:       FIELD_SELLER_ID,            // the ID offers are sent under (Offer Messages → Seller ID)
+    discordUserIds: FIELD_SELLER_DISCORD_USERS, // one or more Discord user IDs (comma/space separated)
+    discordRoleId:  FIELD_SELLER_DISCORD_ROLE,  // optional per-seller role
+  },
 
   // Inventory fields
-  FIELD_INV_LINKED_SELLER     = "Linked Seller",
-  FIELD_INV_QTY               = "Quantity", // NEW: used for decrement
-  FIELD_INV_STOCK_LINK        = "Stock Levels",        // Inventory → link naar Stock Levels
+  inventory: {
+    linkedSeller:  FIELD_INV_LINKED_SELLER,
+    quantity:      FIELD_INV_QTY,
+    stockLevels:   FIELD_INV_STOCK_LINK,        // Inventory → link naar Stock Levels
+    sellerCountry: FIELD_INV_SELLER_COUNTRY,    // lookup
+  },
 
   // Offer log fields
-  FIELD_OFFERS_ORDER_ID       = "Order Record ID",
-  FIELD_OFFERS_CHANNEL_ID     = "Channel ID",
-  FIELD_OFFERS_MESSAGE_ID     = "Message ID",
-  FIELD_OFFERS_SELLER_ID,
-  FIELD_OFFERS_INV_ID,
-  FIELD_OFFERS_OFFER_PRICE,
+  offers: {
+    orderId:       FIELD_OFFERS_ORDER_ID,
+    channelId:     FIELD_OFFERS_CHANNEL_ID,
+    messageId:     FIELD_OFFERS_MESSAGE_ID,
+    token:         FIELD_OFFERS_TOKEN,          // opaque id carried by the Discord buttons
+    sellerId:      FIELD_OFFERS_SELLER_ID,
+    inventoryId:   FIELD_OFFERS_INV_ID,
+    offerPrice:    FIELD_OFFERS_OFFER_PRICE,    // price a Confirm/Accept click commits to
+    vatType:       FIELD_OFFERS_VAT_TYPE,       // single-select: Margin | VAT0 | VAT21
+    counterPrice:  FIELD_OFFERS_COUNTER_PRICE,
+    counterStatus: FIELD_OFFERS_COUNTER_STATUS, // single-select: Pending | Accepted | Rejected
+    expiresAt:     FIELD_OFFERS_EXPIRES_AT,     // date/time (only written when the order has a TTL)
+    expired:       FIELD_OFFERS_EXPIRED,        // checkbox
+    orderQuantity: FIELD_OFFERS_ORDER_QTY,      // only written when the order wants > 1 pair
+    wave:          FIELD_OFFERS_WAVE,           // outreach wave number (wave mode only)
+    status:        FIELD_OFFERS_STATUS,         // single-select: Sent | Accepted | Denied | Superseded | Expired | Closed
+    mode:          FIELD_OFFERS_MODE,           // single-select: offer | confirm
+    responder:     FIELD_OFFERS_RESPONDER,
+    respondedAt:   FIELD_OFFERS_RESPONDED_AT,   // date/time
+    closeReason:   FIELD_OFFERS_CLOSE_REASON,
+    denyReason:    FIELD_OFFERS_DENY_REASON,    // single-select: see DENY_REASONS
+    denyNote:      FIELD_OFFERS_DENY_NOTE,      // free text for "Other"
+    language:      FIELD_OFFERS_LANGUAGE,       // single-select: locale the message was sent in (lib/i18n.js)
+  },
 
   // External Sales Log fields
-  FIELD_OFFER_STATUS          = "Offer Status",
-  FIELD_CONFIRMED_PRICE       = "Confirmed Offer Price",
-  FIELD_CONFIRMED_SELLER      = "Confirmed Seller",
-  FIELD_OFFER_VAT_TYPE        = "Offer VAT Type", // single-select: Margin | VAT21 | VAT0
-  FIELD_DEAL_STATUS           = "Deal Status",
-  FIELD_BOT_FEEDBACK          = "Bot Feedback",
-  FIELD_FINAL_DEAL_PRICE      = "Final Deal Price",
-  FIELD_MINIMUM_DEAL_PRICE    = "Minimum Deal Price",
-  FIELD_SHIPPING_LABEL        = "Shipping Label",
-  FIELD_BUYER                 = "Buyer",
-  FIELD_PRODUCT_NAME          = "Product Name",
-  FIELD_SKU                   = "SKU",
-  FIELD_SIZE                  = "Size",
-  FIELD_BRAND                 = "Brand",
-  FIELD_EXCEPTION_APPROVED    = "Exception Approved?",
-  FIELD_CONFIRMED_INVENTORY   = "Confirmed Inventory Unit", // NEW: link (preferred) or text field
-  FIELD_LINKED_AFFILIATE      = "Linked Affiliate",
-  FIELD_EXT_ORDER_ID          = "External Order ID",
-  FIELD_EXT_SELLING_VAT_TYPE  = "Selling VAT Type",
-  FIELD_EXT_SELLER_LINK       = "Confirmed Seller",          // External Sales Log → link naar Seller
-  FIELD_EXT_STOCK_LINK        = "Stock Levels Link",   // External Sales Log → link naar Stock Levels
+  external: {
+    offerStatus:         FIELD_OFFER_STATUS,
+    confirmedPrice:      FIELD_CONFIRMED_PRICE,
+    confirmedSeller:     FIELD_CONFIRMED_SELLER,
+    offerVatType:        FIELD_OFFER_VAT_TYPE,        // single-select: Margin | VAT21 | VAT0
+    dealStatus:          FIELD_DEAL_STATUS,
+    botFeedback:         FIELD_BOT_FEEDBACK,
+    finalDealPrice:      FIELD_FINAL_DEAL_PRICE,
+    minDealPrice:        FIELD_MINIMUM_DEAL_PRICE,
+    minDealPriceVat0:    FIELD_MIN_DEAL_PRICE_VAT0,   // read by finalize (per selling VAT type)
+    minDealPriceVat21:   FIELD_MIN_DEAL_PRICE_VAT21,
+    minDealPriceMargin:  FIELD_MIN_DEAL_PRICE_MARGIN,
+    shippingLabel:       FIELD_SHIPPING_LABEL,
+    buyer:               FIELD_BUYER,
+    buyerCountry:        FIELD_BUYER_COUNTRY,         // lookup
+    buyerVatId:          FIELD_BUYER_VAT_ID,          // lookup
+    productName:         FIELD_PRODUCT_NAME,
+    sku:                 FIELD_SKU,
+    skuName:             FIELD_SKU_NAME,              // lookup: the SKU as text (SKU is a link)
+    size:                FIELD_SIZE,
+    brand:               FIELD_BRAND,
+    exceptionApproved:   FIELD_EXCEPTION_APPROVED,
+    confirmedInventory:  FIELD_CONFIRMED_INVENTORY,   // link (preferred) or text field
+    linkedAffiliate:     FIELD_LINKED_AFFILIATE,
+    externalOrderId:     FIELD_EXT_ORDER_ID,
+    sellingVatType:      FIELD_EXT_SELLING_VAT_TYPE,
+    sellerLink:          FIELD_EXT_SELLER_LINK,       // External Sales Log → link naar Seller
+    stockLevelsLink:     FIELD_EXT_STOCK_LINK,        // External Sales Log → link naar Stock Levels
+    confirmedBy:         FIELD_CONFIRMED_BY_DISCORD,  // Discord user ID that clicked Confirm
+    finalizeSalesIds:    FIELD_FINALIZE_SALES_IDS,    // finalize progress: Sales record ids (comma separated)
+    finalizeAffiliateId: FIELD_FINALIZE_AFFILIATE_ID, // finalize progress: Affiliate Sales record id
+    finalizeInvDone:     FIELD_FINALIZE_INV_DONE,     // finalize progress: checkbox
+  },
 
   // Sales fields (write)
-  FIELD_SALE_PRODUCT_NAME     = "Product Name",
-  FIELD_SALE_SKU              = "SKU",                 // link
-  FIELD_SALE_SIZE             = "Size",
-  FIELD_SALE_BRAND            = "Brand",
-  FIELD_SALE_VAT_TYPE         = "VAT Type",            // single-select
-  FIELD_SALE_FINAL_PRICE      = "Final Selling Price",
-  FIELD_SALE_SELLER_LINK      = "Seller ID",           // link
-  FIELD_SALE_SHIPPING_LABEL   = "Shipping Label",      // attachment
+  sales: {
+    productName:   FIELD_SALE_PRODUCT_NAME,
+    sku:           FIELD_SALE_SKU,              // link
+    size:          FIELD_SALE_SIZE,
+    brand:         FIELD_SALE_BRAND,
+    vatType:       FIELD_SALE_VAT_TYPE,         // single-select
+    finalPrice:    FIELD_SALE_FINAL_PRICE,
+    seller:        FIELD_SALE_SELLER_LINK,      // link
+    shippingLabel: FIELD_SALE_SHIPPING_LABEL,   // attachment
+  },
 
   // Affiliate Sales fields (write)
-  FIELD_AFF_SKU               = "SKU",                 // link
-  FIELD_AFF_SELLING_PRICE     = "Selling Price",
-  FIELD_AFF_LINKED_SALES      = "Linked Sales",        // link to Sales
-  FIELD_AFF_LINKED_AFFILIATE  = "Linked Affiliate",
-  FIELD_AFF_EXTERNAL_ORDER_NO = "External Order Number",
-  FIELD_AFF_SELLING_VAT_TYPE  = "Selling VAT Type",    // 👈 NEW
-} = process.env;
+  affiliate: {
+    sku:             FIELD_AFF_SKU,             // link
+    sellingPrice:    FIELD_AFF_SELLING_PRICE,
+    linkedSales:     FIELD_AFF_LINKED_SALES,    // link to Sales
+    linkedAffiliate: FIELD_AFF_LINKED_AFFILIATE,
+    externalOrderNo: FIELD_AFF_EXTERNAL_ORDER_NO,
+    sellingVatType:  FIELD_AFF_SELLING_VAT_TYPE,
+  },
+
+  // External Confirmations fields (one row per confirmed unit)
+  extUnits: {
+    order:       FIELD_EXTC_ORDER,              // link to External Sales Log
+    orderId:     FIELD_EXTC_ORDER_ID,           // text copy, used for filtering
+    offerToken:  FIELD_EXTC_OFFER_TOKEN,
+    seller:      FIELD_EXTC_SELLER,             // link
+    inventory:   FIELD_EXTC_INVENTORY,          // link
+    price:       FIELD_EXTC_PRICE,
+    vatType:     FIELD_EXTC_VAT_TYPE,           // single-select: Margin | VAT0 | VAT21
+    confirmedBy: FIELD_EXTC_CONFIRMED_BY,
+    sale:        FIELD_EXTC_SALE,               // link to Sales (set at finalize)
+    invDone:     FIELD_EXTC_INV_DONE,           // checkbox (set at finalize)
+  },
+
+  // Inventory Reservations fields
+  reservations: {
+    inventory:   FIELD_RES_INVENTORY,           // link
+    inventoryId: FIELD_RES_INVENTORY_ID,        // text copy, used for filtering
+    order:       FIELD_RES_ORDER,               // link to External Sales Log
+    orderId:     FIELD_RES_ORDER_ID,            // text copy, used for filtering
+    offerToken:  FIELD_RES_OFFER_TOKEN,
+    status:      FIELD_RES_STATUS,              // single-select: Active | Released | Consumed
+    expiresAt:   FIELD_RES_EXPIRES_AT,          // date/time (empty = no expiry)
+    reason:      FIELD_RES_REASON,              // why it was released / consumed
+  },
+} = FIELDS;
 
 const AT_API = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}`;
+const AT_META_TABLES = `https://api.airtable.com/v0/meta/bases/${AIRTABLE_BASE_ID}/tables`;
 
 /* -------------------- Helpers -------------------- */
 
@@ -136,70 +225,752 @@ const attachmentsForWrite = (att) =>
 
 /* -------------------- Core request -------------------- */
 
-async function airtableRequest(method, path, body) {
-  const res = await fetch(`${AT_API}/${path}`, {
-    method,
-    headers: {
-      Authorization: `Bearer ${AIRTABLE_API_KEY}`,
-      "Content-Type": "application/json",
-    },
-    body: body ? JSON.stringify(body) : undefined,
+/** Any non-2xx (or network failure) from Airtable. `retryable` is false for 4xx other than 429. */
+export class AirtableError extends Error {
+  constructor(message, { status = null, type = null, method, path, retryable = false } = {}) {
+    super(message);
+    this.name = "AirtableError";
+    this.status = status;
+    this.type = type;         // Airtable's error.type, e.g. INVALID_VALUE_FOR_COLUMN
+    this.method = method;
+    this.path = path;
+    this.retryable = retryable;
+  }
+}
+
+/** 400 / 422: the request itself is wrong (unknown field, bad select option, bad formula) */
+export class AirtableValidationError extends AirtableError {
+  constructor(message, info) { super(message, info); this.name = "AirtableValidationError"; }
+}
+
+/** 404 / INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND: record or table doesn't exist (or no access) */
+export class AirtableNotFoundError extends AirtableError {
+  constructor(message, info) { super(message, info); this.name = "AirtableNotFoundError"; }
+}
+
+/** 401 / 403: bad token or missing scopes */
+export class AirtableAuthError extends AirtableError {
+  constructor(message, info) { super(message, info); this.name = "AirtableAuthError"; }
+}
+
+/** 429 or 5xx still failing after all retries */
+export class AirtableUnavailableError extends AirtableError {
+  constructor(message, info) { super(message, info); this.name = "AirtableUnavailableError"; }
+}
+
+function toAirtableError(status, body, method, path) {
+  let type = null;
+  let detail = body;
+  try {
+    const err = JSON.parse(body)?.error;
+    type = typeof err === "string" ? err : err?.type || null;
+    detail = typeof err === "object" && err?.message ? `${type}: ${err.message}` : body;
+  } catch { /* not JSON */ }
+
+  const msg  = `[Airtable] ${method} ${path} → ${status} ${detail}`;
+  const info = { status, type, method, path };
+  if (status === 429 || status >= 500) return new AirtableUnavailableError(msg, { ...info, retryable: true });
+  if (status === 404 || type === "INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND" || type === "NOT_FOUND") {
+    return new AirtableNotFoundError(msg, info);
+  }
+  if (status === 401 || status === 403) return new AirtableAuthError(msg, info);
+  if (status === 400 || status === 422) return new AirtableValidationError(msg, info);
+  return new AirtableError(msg, info);
+}
+
+// Per-base rate gate: every request takes the next free slot, 1/rate seconds apart
+const RATE_INTERVAL_MS = 1000 / Math.max(1, Number(AIRTABLE_RATE_PER_SEC) || 5);
+const MAX_RETRIES = Math.max(0, Number(AIRTABLE_MAX_RETRIES) || 0);
+const nextSlotByBase = new Map();
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function waitForSlot(baseId) {
+  const now = Date.now();
+  const slot = Math.max(now, nextSlotByBase.get(baseId) || 0);
+  nextSlotByBase.set(baseId, slot + RATE_INTERVAL_MS);
+  if (slot > now) await sleep(slot - now);
+}
+
+// Exponential backoff with full jitter, capped at 30s (Airtable asks for 30s after a 429)
+function backoffMs(attempt, retryAfterHeader) {
+  const retryAfter = Number(retryAfterHeader);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+  const cap = Math.min(30_000, 500 * 2 ** attempt);
+  return cap / 2 + Math.random() * (cap / 2);
+}
+
+/**
+ * Rate-limited request with retries. 429 is always retried; 5xx and network errors only
+ * when the request is idempotent (default: everything but POST, which could create twice).
+ * Throws an AirtableError subclass.
+ */
+async function airtableRequest(method, path, body, { idempotent = method !== "POST" } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForSlot(AIRTABLE_BASE_ID);
+
+    let res;
+    try {
+      res = await fetch(path.startsWith("https://") ? path : `${AT_API}/${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${AIRTABLE_API_KEY}`,
+          "Content-Type": "application/json",
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (e) {
+      if (idempotent && attempt < MAX_RETRIES) {
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      throw new AirtableUnavailableError(`[Airtable] ${method} ${path} → ${e.message}`, { method, path, retryable: true });
+    }
+
+    if (res.ok) return res.json();
+
+    const err = toAirtableError(res.status, await res.text(), method, path);
+    const canRetry = res.status === 429 || (err.retryable && idempotent);
+    if (!canRetry || attempt >= MAX_RETRIES) throw err;
+
+    console.warn(`[Airtable] ${method} ${path} → ${res.status}, retry ${attempt + 1}/${MAX_RETRIES}`);
+    await sleep(backoffMs(attempt, res.headers.get("retry-after")));
+  }
+}
+
+/**
+ * Fire-and-forget a write: failures are logged (with the Airtable error type), never thrown.
+ * Await the write directly instead when the caller must know it succeeded.
+ */
+export function fireAndForget(label, promise) {
+  Promise.resolve(promise).catch(e =>
+    console.warn(`${label} warn:`, e instanceof AirtableError && e.type ? `[${e.type}] ${e.message}` : e.message)
+  );
+}
+
+/**
+ * List records, following Airtable's `offset` until every page is read
+ * (a single GET stops at 100 records).
+ *   filterByFormula  formula string
+ *   fields           only return these fields (`fields[]`)
+ *   sort             [{ field, direction: "asc" | "desc" }]
+ *   maxRecords       stop after this many records
+ *   view, pageSize   passed through
+ */
+export async function airtableList(table, { filterByFormula, fields, sort, maxRecords, view, pageSize } = {}) {
+  const tablePath = encodeURIComponent(table);
+  const base = new URLSearchParams();
+  if (filterByFormula) base.set("filterByFormula", filterByFormula);
+  if (view) base.set("view", view);
+  if (maxRecords) base.set("maxRecords", String(maxRecords));
+  if (pageSize || maxRecords) base.set("pageSize", String(Math.min(pageSize || 100, maxRecords || 100, 100)));
+  for (const f of fields || []) base.append("fields[]", f);
+  (sort || []).forEach((s, i) => {
+    base.set(`sort[${i}][field]`, s.field);
+    if (s.direction) base.set(`sort[${i}][direction]`, s.direction);
   });
-  if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`[Airtable] ${method} ${path} → ${res.status} ${txt}`);
+
+  const records = [];
+  let offset;
+  do {
+    const qs = new URLSearchParams(base);
+    if (offset) qs.set("offset", offset);
+    const data = await airtableRequest("GET", `${tablePath}?${qs}`);
+    records.push(...(data.records || []));
+    offset = data.offset;
+  } while (offset && !(maxRecords && records.length >= maxRecords));
+
+  return maxRecords ? records.slice(0, maxRecords) : records;
+}
+
+// Keeps the filterByFormula query string well below Airtable's URL length limit
+const RECORD_ID_BATCH = 50;
+
+/** Records by id, `OR(RECORD_ID()=…)` in batches; ids that don't exist are simply missing */
+async function airtableListByIds(table, ids, opts = {}) {
+  const records = [];
+  for (let i = 0; i < ids.length; i += RECORD_ID_BATCH) {
+    const conds = ids.slice(i, i + RECORD_ID_BATCH).map(id => `RECORD_ID()='${String(id).replace(/'/g, "")}'`);
+    const filterByFormula = conds.length === 1 ? conds[0] : `OR(${conds.join(",")})`;
+    records.push(...await airtableList(table, { ...opts, filterByFormula }));
   }
-  return res.json();
+  return records;
 }
 
-/* -------------------- Offer messages log -------------------- */
+/** First record matching a formula (null if none) */
+async function airtableFindOne(table, filterByFormula, opts = {}) {
+  const [rec] = await airtableList(table, { ...opts, filterByFormula, maxRecords: 1 });
+  return rec || null;
+}
+
+/* -------------------- Schema -------------------- */
+
+// Airtable field types we can work with, per kind of value we read or write
+const TEXT     = ["singleLineText", "multilineText", "richText", "email", "url", "phoneNumber"];
+const NUMBER   = ["number", "currency", "percent"];
+const SELECT   = ["singleSelect", ...TEXT];
+const LINK     = ["multipleRecordLinks"];
+const CHECKBOX = ["checkbox"];
+const DATE     = ["dateTime", "date"];
+const FILES    = ["multipleAttachments"];
+const ANY      = null; // read-only (lookup / formula / rollup): only has to exist
+
+const VAT_LABELS = ["Margin", "VAT0", "VAT21"];
+
+// `optional` fields belong to features a base may not use yet: a mismatch is a warning and
+// writes to a missing optional field are dropped. `options` are select values we write.
+const field = (types, extra = {}) => ({ types, ...extra });
 
-export async function logOfferMessage({ orderRecId, sellerId, inventoryRecordId, channelId, messageId, offerPrice }) {
+// Read-only fields; several env names can point at the same field, a typed entry wins
+const withReadOnly = (fields, names) => {
+  for (const name of names) if (!(name in fields)) fields[name] = field(ANY);
+  return fields;
+};
+
+const SCHEMA_SPEC = {
+  [AIRTABLE_TABLE_OFFER_MSGS]: {
+    fields: {
+      [FIELD_OFFERS_TOKEN]:          field(TEXT),
+      [FIELD_OFFERS_ORDER_ID]:       field(TEXT),
+      [FIELD_OFFERS_CHANNEL_ID]:     field(TEXT),
+      [FIELD_OFFERS_MESSAGE_ID]:     field(TEXT),
+      [FIELD_OFFERS_SELLER_ID]:      field(TEXT),
+      [FIELD_OFFERS_INV_ID]:         field(TEXT),
+      [FIELD_OFFERS_OFFER_PRICE]:    field(NUMBER),
+      [FIELD_OFFERS_VAT_TYPE]:       field(SELECT, { options: VAT_LABELS }),
+      [FIELD_OFFERS_COUNTER_PRICE]:  field(NUMBER, { optional: true }),
+      [FIELD_OFFERS_COUNTER_STATUS]: field(SELECT, { optional: true, options: ["Pending", "Accepted", "Rejected"] }),
+      [FIELD_OFFERS_EXPIRES_AT]:     field(DATE, { optional: true }),
+      [FIELD_OFFERS_EXPIRED]:        field(CHECKBOX, { optional: true }),
+      [FIELD_OFFERS_ORDER_QTY]:      field(NUMBER, { optional: true }),
+      [FIELD_OFFERS_WAVE]:           field(NUMBER, { optional: true }),
+      [FIELD_OFFERS_STATUS]:         field(SELECT, { optional: true, options: OFFER_STATUSES }),
+      [FIELD_OFFERS_MODE]:           field(SELECT, { optional: true, options: ["offer", "confirm"] }),
+      [FIELD_OFFERS_RESPONDER]:      field(TEXT, { optional: true }),
+      [FIELD_OFFERS_RESPONDED_AT]:   field(DATE, { optional: true }),
+      [FIELD_OFFERS_CLOSE_REASON]:   field(TEXT, { optional: true }),
+      [FIELD_OFFERS_DENY_REASON]:    field(SELECT, { optional: true, options: DENY_REASONS }),
+      [FIELD_OFFERS_DENY_NOTE]:      field(TEXT, { optional: true }),
+      [FIELD_OFFERS_LANGUAGE]:       field(SELECT, { optional: true, options: LOCALES }),
+    },
+  },
+  [AIRTABLE_TABLE_EXTERNAL]: {
+    fields: withReadOnly({
+      [FIELD_OFFER_STATUS]:         field(SELECT, { options: ["Confirmed", "Partially Confirmed"] }),
+      [FIELD_CONFIRMED_PRICE]:      field(NUMBER),
+      [FIELD_CONFIRMED_SELLER]:     field(LINK),
+      [FIELD_OFFER_VAT_TYPE]:       field(SELECT, { options: VAT_LABELS }),
+      [FIELD_DEAL_STATUS]:          field(SELECT, { options: ["Closing", "Deal Processed"] }),
+      [FIELD_BOT_FEEDBACK]:         field(TEXT),
+      [FIELD_CONFIRMED_INVENTORY]:  field([...LINK, ...TEXT]),
+      [FIELD_CONFIRMED_BY_DISCORD]: field(TEXT, { optional: true }),
+      [FIELD_FINALIZE_SALES_IDS]:    field(TEXT),
+      [FIELD_FINALIZE_AFFILIATE_ID]: field(TEXT),
+      [FIELD_FINALIZE_INV_DONE]:     field(CHECKBOX),
+      // read by finalize; missing ones only skip the minimum price / domestic VAT checks
+      [FIELD_MIN_DEAL_PRICE_VAT0]:   field(ANY, { optional: true }),
+      [FIELD_MIN_DEAL_PRICE_VAT21]:  field(ANY, { optional: true }),
+      [FIELD_MIN_DEAL_PRICE_MARGIN]: field(ANY, { optional: true }),
+      [FIELD_BUYER_COUNTRY]:         field(ANY, { optional: true }),
+      [FIELD_BUYER_VAT_ID]:          field(ANY, { optional: true }),
+      // read by the deny analytics; without it deals are grouped by product name
+      [FIELD_SKU_NAME]:              field(ANY, { optional: true }),
+    }, [
+      FIELD_FINAL_DEAL_PRICE, FIELD_MINIMUM_DEAL_PRICE, FIELD_SHIPPING_LABEL, FIELD_BUYER,
+      FIELD_PRODUCT_NAME, FIELD_SKU, FIELD_SIZE, FIELD_BRAND, FIELD_EXCEPTION_APPROVED,
+      FIELD_LINKED_AFFILIATE, FIELD_EXT_ORDER_ID, FIELD_EXT_SELLING_VAT_TYPE,
+      FIELD_EXT_SELLER_LINK, FIELD_EXT_STOCK_LINK,
+    ]),
+  },
+  [AIRTABLE_TABLE_INVENTORY]: {
+    fields: withReadOnly({
+      [FIELD_INV_QTY]: field(NUMBER),
+    }, [FIELD_INV_LINKED_SELLER, FIELD_INV_STOCK_LINK, FIELD_INV_SELLER_COUNTRY]),
+  },
+  [AIRTABLE_TABLE_SALES]: {
+    fields: {
+      [FIELD_SALE_PRODUCT_NAME]:   field(TEXT),
+      [FIELD_SALE_SKU]:            field(LINK),
+      [FIELD_SALE_SIZE]:           field(TEXT),
+      [FIELD_SALE_BRAND]:          field(TEXT),
+      [FIELD_SALE_VAT_TYPE]:       field(SELECT, { options: VAT_LABELS }),
+      [FIELD_SALE_FINAL_PRICE]:    field(NUMBER),
+      [FIELD_SALE_SELLER_LINK]:    field(LINK),
+      [FIELD_SALE_SHIPPING_LABEL]: field(FILES),
+    },
+  },
+  [AIRTABLE_TABLE_AFFILIATE]: {
+    fields: {
+      [FIELD_AFF_SKU]:               field(LINK),
+      [FIELD_AFF_SELLING_PRICE]:     field(NUMBER),
+      [FIELD_AFF_LINKED_SALES]:      field(LINK),
+      [FIELD_AFF_LINKED_AFFILIATE]:  field(LINK),
+      [FIELD_AFF_EXTERNAL_ORDER_NO]: field(TEXT),
+      [FIELD_AFF_SELLING_VAT_TYPE]:  field(SELECT),
+    },
+  },
+  [AIRTABLE_TABLE_SELLERS]: {
+    optional: true,
+    fields: {
+      [FIELD_SELLER_ID]:            field(ANY),
+      [FIELD_SELLER_DISCORD_USERS]: field(ANY),
+      [FIELD_SELLER_DISCORD_ROLE]:  field(ANY, { optional: true }),
+    },
+  },
+  [AIRTABLE_TABLE_EXT_UNITS]: {
+    optional: true,
+    fields: {
+      [FIELD_EXTC_ORDER]:        field(LINK),
+      [FIELD_EXTC_ORDER_ID]:     field(TEXT),
+      [FIELD_EXTC_OFFER_TOKEN]:  field(TEXT),
+      [FIELD_EXTC_SELLER]:       field(LINK),
+      [FIELD_EXTC_INVENTORY]:    field(LINK),
+      [FIELD_EXTC_PRICE]:        field(NUMBER),
+      [FIELD_EXTC_VAT_TYPE]:     field(SELECT, { options: VAT_LABELS }),
+      [FIELD_EXTC_CONFIRMED_BY]: field(TEXT),
+      [FIELD_EXTC_SALE]:         field(LINK),
+      [FIELD_EXTC_INV_DONE]:     field(CHECKBOX),
+    },
+  },
+  [AIRTABLE_TABLE_RESERVATIONS]: {
+    fields: {
+      [FIELD_RES_INVENTORY]:    field(LINK),
+      [FIELD_RES_INVENTORY_ID]: field(TEXT),
+      [FIELD_RES_ORDER]:        field(LINK),
+      [FIELD_RES_ORDER_ID]:     field(TEXT),
+      [FIELD_RES_OFFER_TOKEN]:  field(TEXT),
+      [FIELD_RES_STATUS]:       field(SELECT, { options: ["Active", "Released", "Consumed"] }),
+      [FIELD_RES_EXPIRES_AT]:   field(DATE),
+      [FIELD_RES_REASON]:       field(TEXT),
+    },
+  },
+};
+
+// Loaded base schema: table name → Map(field name → { type, options })
+let baseSchema = null;
+let schemaReport = { ok: null, checkedAt: null, errors: [], warnings: [] };
+
+/**
+ * Load the base schema (metadata API, needs the `schema.bases:read` scope) and check every
+ * configured table/field against SCHEMA_SPEC. Never throws: problems end up in the report
+ * (see getSchemaReport / GET /health).
+ */
+export async function validateSchema() {
+  const errors = [];
+  const warnings = [];
   try {
-    const fields = {
-      [FIELD_OFFERS_ORDER_ID]: orderRecId,
-      [FIELD_OFFERS_CHANNEL_ID]: channelId,
-      [FIELD_OFFERS_MESSAGE_ID]: messageId,
+    const { tables = [] } = await airtableRequest("GET", AT_META_TABLES);
+    baseSchema = new Map(tables.map(t => [
+      t.name,
+      new Map((t.fields || []).map(f => [f.name, {
+        type: f.type,
+        options: (f.options?.choices || []).map(c => c.name),
+      }])),
+    ]));
+  } catch (e) {
+    baseSchema = null;
+    schemaReport = {
+      ok: false,
+      checkedAt: new Date().toISOString(),
+      errors: [`Could not load base schema: ${e.message}`],
+      warnings: [],
     };
-    if (FIELD_OFFERS_SELLER_ID) fields[FIELD_OFFERS_SELLER_ID] = sellerId ?? null;
-    if (FIELD_OFFERS_INV_ID)    fields[FIELD_OFFERS_INV_ID]    = inventoryRecordId ?? null;
-    if (FIELD_OFFERS_OFFER_PRICE)
-      fields[FIELD_OFFERS_OFFER_PRICE] = typeof offerPrice === "number" ? round2(offerPrice) : null;
+    return schemaReport;
+  }
+
+  for (const [table, spec] of Object.entries(SCHEMA_SPEC)) {
+    const actual = baseSchema.get(table);
+    if (!actual) {
+      (spec.optional ? warnings : errors).push(`Table "${table}" not found`);
+      continue;
+    }
+    for (const [name, want] of Object.entries(spec.fields)) {
+      const report = (spec.optional || want.optional) ? warnings : errors;
+      const have = actual.get(name);
+      if (!have) {
+        report.push(`${table}: field "${name}" not found`);
+        continue;
+      }
+      if (want.types && !want.types.includes(have.type)) {
+        report.push(`${table}: field "${name}" is ${have.type}, expected ${want.types.join(" | ")}`);
+        continue;
+      }
+      if (have.type === "singleSelect" && want.options) {
+        const missing = want.options.filter(o => !have.options.includes(o));
+        if (missing.length) report.push(`${table}: field "${name}" has no option(s) ${missing.join(", ")}`);
+      }
+    }
+  }
+
+  schemaReport = { ok: errors.length === 0, checkedAt: new Date().toISOString(), errors, warnings };
+  return schemaReport;
+}
 
-    await airtableRequest("POST", encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS), { fields });
+export const getSchemaReport = () => schemaReport;
+
+/**
+ * Field type in the base. When the schema isn't loaded it's a guess from the spec: the first
+ * type it allows, or the last one with `fallback` (e.g. text for a "link or text" field).
+ */
+function fieldType(table, name, { fallback = false } = {}) {
+  const actual = baseSchema?.get(table)?.get(name);
+  if (actual) return actual.type;
+  const types = SCHEMA_SPEC[table]?.fields?.[name]?.types || [];
+  return (fallback ? types[types.length - 1] : types[0]) || null;
+}
+
+/**
+ * Shape plain values for the field types of `table`:
+ *   links take an id or a list of ids, text fields get a single id / label,
+ *   select values are written as their label, numbers are coerced.
+ * Optional fields missing from the base are dropped; `undefined` values are skipped.
+ */
+function shapeFields(table, values, { fallback = false } = {}) {
+  const spec = SCHEMA_SPEC[table]?.fields || {};
+  const out = {};
+  for (const [name, value] of Object.entries(values)) {
+    if (value === undefined) continue;
+    if (baseSchema && spec[name]?.optional && !baseSchema.get(table)?.has(name)) continue;
+
+    const type = fieldType(table, name, { fallback });
+    if (value === null) {
+      out[name] = LINK.includes(type) || FILES.includes(type) ? [] : null;
+    } else if (LINK.includes(type)) {
+      out[name] = [].concat(value).filter(Boolean);
+    } else if (NUMBER.includes(type)) {
+      out[name] = asNumber(value);
+    } else if (CHECKBOX.includes(type)) {
+      out[name] = !!value;
+    } else if (SELECT.includes(type)) {
+      out[name] = Array.isArray(value) ? (value[0] != null ? String(value[0]) : null) : String(value);
+    } else {
+      out[name] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Send shaped `values` with `write(fields)`. Without a loaded schema, fields that may have more
+ * than one shape (Confirmed Inventory Unit: link or text) go out in their first shape; a 422 is
+ * retried once with the fallback shapes, so a text-typed field still gets its record ID.
+ */
+async function writeShaped(table, values, write) {
+  const fields = shapeFields(table, values);
+  try {
+    return await write(fields);
   } catch (e) {
-    console.warn("logOfferMessage warn:", e.message);
+    if (baseSchema || !(e instanceof AirtableValidationError)) throw e;
+    const alt = shapeFields(table, values, { fallback: true });
+    if (JSON.stringify(alt) === JSON.stringify(fields)) throw e;
+    console.warn(`[Airtable] ${table}: schema not loaded, retrying with fallback field shapes (${e.message})`);
+    return write(alt);
   }
 }
 
+/** POST a new record to `table` with shaped fields; returns the new record id */
+async function createRecord(table, values) {
+  const r = await writeShaped(table, values, fields => airtableRequest("POST", encodeURIComponent(table), { fields }));
+  return r.id;
+}
+
+/** PATCH a record of `table` with shaped fields */
+async function updateRecord(table, recordId, values) {
+  const path = `${encodeURIComponent(table)}/${recordId}`;
+  return writeShaped(table, values, fields => airtableRequest("PATCH", path, { fields }));
+}
+
+/* -------------------- Offer messages log -------------------- */
+
+/**
+ * Persist an offer that was posted to Discord. This row is the offer's state:
+ * buttons only carry `offerToken`, price / VAT / seller / inventory are read back
+ * from here on click. Throws, because a message without its row can't be clicked.
+ */
+export async function logOfferMessage({
+  offerToken, orderRecId, sellerId, inventoryRecordId, channelId, messageId, offerPrice, vatLabel, mode, expiresAt, orderQty, wave, locale,
+}) {
+  const fields = {
+    [FIELD_OFFERS_TOKEN]: offerToken,
+    [FIELD_OFFERS_ORDER_ID]: orderRecId,
+    [FIELD_OFFERS_CHANNEL_ID]: channelId,
+    [FIELD_OFFERS_MESSAGE_ID]: messageId,
+    [FIELD_OFFERS_SELLER_ID]: sellerId ?? null,
+    [FIELD_OFFERS_INV_ID]: inventoryRecordId ?? null,
+    [FIELD_OFFERS_OFFER_PRICE]: typeof offerPrice === "number" ? round2(offerPrice) : null,
+    [FIELD_OFFERS_STATUS]: "Sent",
+  };
+  if (mode)         fields[FIELD_OFFERS_MODE]       = mode;
+  if (vatLabel)     fields[FIELD_OFFERS_VAT_TYPE]   = vatLabel;
+  if (expiresAt)    fields[FIELD_OFFERS_EXPIRES_AT] = new Date(expiresAt).toISOString();
+  if (orderQty > 1) fields[FIELD_OFFERS_ORDER_QTY]  = orderQty;
+  if (wave)         fields[FIELD_OFFERS_WAVE]       = wave;
+  if (locale)       fields[FIELD_OFFERS_LANGUAGE]   = locale;
+
+  return createRecord(AIRTABLE_TABLE_OFFER_MSGS, fields);
+}
+
+/** Resolve a button's offer token to its stored offer (null if unknown) */
+export async function getOfferByToken(offerToken) {
+  if (!offerToken) return null;
+  const formula = `{${FIELD_OFFERS_TOKEN}}='${String(offerToken).replace(/'/g, "")}'`;
+  const rec = await airtableFindOne(AIRTABLE_TABLE_OFFER_MSGS, formula);
+  return rec ? mapOfferMessage(rec) : null;
+}
+
 export async function listOfferMessagesForOrder(orderRecId) {
   if (!orderRecId) return [];
-  const tablePath = encodeURIComponent(AIRTABLE_TABLE_OFFER_MSGS);
   const formula = `{${FIELD_OFFERS_ORDER_ID}}='${orderRecId}'`;
-  const data = await airtableRequest("GET", `${tablePath}?filterByFormula=${encodeURIComponent(formula)}`);
-  return (data.records || [])
-    .map(r => ({ channelId: r.fields?.[FIELD_OFFERS_CHANNEL_ID], messageId: r.fields?.[FIELD_OFFERS_MESSAGE_ID] }))
+  const records = await airtableList(AIRTABLE_TABLE_OFFER_MSGS, { filterByFormula: formula });
+  return records
+    .map(mapOfferMessage)
     .filter(x => x.channelId && x.messageId);
 }
 
+/** Offer Messages in any of these lifecycle statuses */
+export async function listOfferMessagesByStatus(statuses) {
+  const conds = statuses.map(st => `{${FIELD_OFFERS_STATUS}}='${st}'`);
+  const formula = conds.length === 1 ? conds[0] : `OR(${conds.join(",")})`;
+  const records = await airtableList(AIRTABLE_TABLE_OFFER_MSGS, { filterByFormula: formula });
+  return records.map(mapOfferMessage).filter(x => x.channelId && x.messageId);
+}
+
+/** Offer Messages of these Seller IDs in any of these statuses (rows without a Status are left out) */
+export async function listOfferMessagesOfSellers(sellerIds, statuses) {
+  if (!sellerIds.length || !statuses.length) return [];
+  const any = (conds) => conds.length === 1 ? conds[0] : `OR(${conds.join(",")})`;
+  const formula = `AND(${any(sellerIds.map(id => `{${FIELD_OFFERS_SELLER_ID}}='${String(id).replace(/'/g, "")}'`))},` +
+    `${any(statuses.map(st => `{${FIELD_OFFERS_STATUS}}='${st}'`))})`;
+  const records = await airtableList(AIRTABLE_TABLE_OFFER_MSGS, { filterByFormula: formula });
+  return records.map(mapOfferMessage).filter(x => x.channelId && x.messageId);
+}
+
+/** Find the Offer Messages row logged for a Discord message (null if never logged) */
+export async function findOfferMessage({ channelId, messageId }) {
+  if (!channelId || !messageId) return null;
+  const formula = `AND({${FIELD_OFFERS_CHANNEL_ID}}='${channelId}',{${FIELD_OFFERS_MESSAGE_ID}}='${messageId}')`;
+  const rec = await airtableFindOne(AIRTABLE_TABLE_OFFER_MSGS, formula);
+  return rec ? mapOfferMessage(rec) : null;
+}
+
+function mapOfferMessage(rec) {
+  const f = rec.fields || {};
+  return {
+    id:                rec.id,
+    token:             toText(f[FIELD_OFFERS_TOKEN]),
+    orderRecId:        toText(f[FIELD_OFFERS_ORDER_ID]),
+    channelId:         toText(f[FIELD_OFFERS_CHANNEL_ID]),
+    messageId:         toText(f[FIELD_OFFERS_MESSAGE_ID]),
+    sellerId:          toText(f[FIELD_OFFERS_SELLER_ID]),
+    inventoryRecordId: toText(f[FIELD_OFFERS_INV_ID]),
+    offerPrice:        asNumber(f[FIELD_OFFERS_OFFER_PRICE]),
+    vatLabel:          getSingleSelectLabel(f[FIELD_OFFERS_VAT_TYPE]),
+    counterPrice:      asNumber(f[FIELD_OFFERS_COUNTER_PRICE]),
+    counterStatus:     getSingleSelectLabel(f[FIELD_OFFERS_COUNTER_STATUS]),
+    expiresAt:         f[FIELD_OFFERS_EXPIRES_AT] ? new Date(f[FIELD_OFFERS_EXPIRES_AT]) : null,
+    expired:           !!f[FIELD_OFFERS_EXPIRED],
+    orderQty:          asNumber(f[FIELD_OFFERS_ORDER_QTY]) || 1,
+    wave:              asNumber(f[FIELD_OFFERS_WAVE]),
+    status:            getSingleSelectLabel(f[FIELD_OFFERS_STATUS]),
+    mode:              getSingleSelectLabel(f[FIELD_OFFERS_MODE]),
+    responderId:       toText(f[FIELD_OFFERS_RESPONDER]),
+    respondedAt:       f[FIELD_OFFERS_RESPONDED_AT] ? new Date(f[FIELD_OFFERS_RESPONDED_AT]) : null,
+    closeReason:       toText(f[FIELD_OFFERS_CLOSE_REASON]),
+    denyReason:        getSingleSelectLabel(f[FIELD_OFFERS_DENY_REASON]),
+    denyNote:          toText(f[FIELD_OFFERS_DENY_NOTE]),
+    locale:            getSingleSelectLabel(f[FIELD_OFFERS_LANGUAGE]),
+    createdAt:         rec.createdTime ? new Date(rec.createdTime) : null,
+  };
+}
+
+/* -------------------- Offer expiry -------------------- */
+
+/** Offer Messages whose Expires At has passed but that are not marked Expired yet */
+export async function listDueExpiredOfferMessages() {
+  const formula =
+    `AND({${FIELD_OFFERS_EXPIRES_AT}}, IS_BEFORE({${FIELD_OFFERS_EXPIRES_AT}}, NOW()), NOT({${FIELD_OFFERS_EXPIRED}}))`;
+  const records = await airtableList(AIRTABLE_TABLE_OFFER_MSGS, {
+    filterByFormula: formula,
+    sort: [{ field: FIELD_OFFERS_EXPIRES_AT, direction: "asc" }],
+  });
+  return records.map(mapOfferMessage).filter(x => x.channelId && x.messageId);
+}
+
+/** Set Expired; `close` also moves the lifecycle Status to Expired (skip it for rows that already got an answer) */
+export async function markOfferMessageExpired(offerMsgRecId, { close = true } = {}) {
+  await updateRecord(AIRTABLE_TABLE_OFFER_MSGS, offerMsgRecId, {
+    [FIELD_OFFERS_EXPIRED]: true,
+    ...(close ? { [FIELD_OFFERS_STATUS]: "Expired", [FIELD_OFFERS_CLOSE_REASON]: "Expired" } : {}),
+  });
+}
+
+/* -------------------- Offer lifecycle -------------------- */
+
+/**
+ * Move an Offer Messages row to a new Status.
+ *   Accepted / Denied               → seller (or staff) response: responder + Responded At
+ *   Superseded / Expired / Closed   → closed by us: `reason`
+ * A Denied response can carry the seller's `denyReason` (one of DENY_REASONS) and `denyNote`.
+ */
+export async function setOfferMessageStatus(offerMsgRecId, { status, responderId, reason, denyReason, denyNote }) {
+  if (!OFFER_STATUSES.includes(status)) throw new Error(`Unknown offer status "${status}"`);
+  const fields = { [FIELD_OFFERS_STATUS]: status };
+  if (responderId) {
+    fields[FIELD_OFFERS_RESPONDER]    = String(responderId);
+    fields[FIELD_OFFERS_RESPONDED_AT] = new Date().toISOString();
+  }
+  if (reason) fields[FIELD_OFFERS_CLOSE_REASON] = String(reason);
+  else if (status === "Sent") fields[FIELD_OFFERS_CLOSE_REASON] = null; // re-opened
+  if (denyReason) {
+    if (!DENY_REASONS.includes(denyReason)) throw new Error(`Unknown deny reason "${denyReason}"`);
+    fields[FIELD_OFFERS_DENY_REASON] = denyReason;
+    fields[FIELD_OFFERS_DENY_NOTE]   = denyNote ? String(denyNote) : null;
+  }
+  await updateRecord(AIRTABLE_TABLE_OFFER_MSGS, offerMsgRecId, fields);
+}
+
+/* -------------------- Counter offers -------------------- */
+
+/** Store a seller's counter on its Offer Messages row (status → Pending); VAT basis = the offer's */
+export async function recordCounterOffer(offerMsgRecId, { counterPrice }) {
+  await updateRecord(AIRTABLE_TABLE_OFFER_MSGS, offerMsgRecId, {
+    [FIELD_OFFERS_COUNTER_PRICE]:  round2(counterPrice),
+    [FIELD_OFFERS_COUNTER_STATUS]: "Pending",
+  });
+}
+
+/** Staff decision on a counter: "Accepted" | "Rejected" */
+export async function setCounterOfferStatus(offerMsgRecId, statusName) {
+  await updateRecord(AIRTABLE_TABLE_OFFER_MSGS, offerMsgRecId, { [FIELD_OFFERS_COUNTER_STATUS]: statusName });
+}
+
+/* -------------------- Inventory reads -------------------- */
+// A click used to GET the same Inventory row up to three times (Linked Seller, Seller Country, ...).
+// An accessor loads each row once per operation and fetches many rows in one list call; Linked
+// Seller and Seller Country are also kept for INVENTORY_CACHE_TTL_MS across operations.
+// Quantity is never cached: lib/reservations.js reads it fresh under the row's lock.
+
+const inventoryFacts = new Map(); // inventoryId → { sellerRecId, sellerCountry, at }
+
+const factsOf = (rec) => ({
+  sellerRecId:   getFirstLinkedId(rec.fields?.[FIELD_INV_LINKED_SELLER]),
+  sellerCountry: toText(rec.fields?.[FIELD_INV_SELLER_COUNTRY]),
+});
+
+function rememberInventory(rec) {
+  inventoryFacts.set(rec.id, { ...factsOf(rec), at: Date.now() });
+  return rec;
+}
+
+function cachedInventoryFacts(inventoryId) {
+  const facts = inventoryFacts.get(inventoryId);
+  if (facts && Date.now() - facts.at < Number(INVENTORY_CACHE_TTL_MS)) return facts;
+  inventoryFacts.delete(inventoryId);
+  return null;
+}
+
+/** Inventory rows by id in as few list calls as possible; ids that don't exist are absent from the Map */
+async function fetchInventoryRecords(ids) {
+  const records = await airtableListByIds(AIRTABLE_TABLE_INVENTORY, ids);
+  return new Map(records.map(rec => [rec.id, rememberInventory(rec)]));
+}
+
+/**
+ * Request-scoped Inventory reads; create one per click / finalize run.
+ *   load(ids)            fetch every id not loaded yet, in batches
+ *   get(id)              the raw record, or null when it no longer exists
+ *   linkedSellerId(id)   throws when Linked Seller is empty
+ *   sellerCountry(id)    readable text or null
+ */
+export function createInventoryAccessor() {
+  const loaded = new Map(); // inventoryId → Promise<Map<inventoryId, record>>
+
+  async function load(ids) {
+    const missing = [...new Set(ids.filter(Boolean))].filter(id => !loaded.has(id));
+    if (!missing.length) return;
+    const batch = fetchInventoryRecords(missing);
+    for (const id of missing) loaded.set(id, batch);
+    try {
+      await batch;
+    } catch (e) {
+      for (const id of missing) loaded.delete(id); // next call retries
+      throw e;
+    }
+  }
+
+  async function get(inventoryId) {
+    if (!inventoryId) return null;
+    await load([inventoryId]);
+    return (await loaded.get(inventoryId)).get(inventoryId) || null;
+  }
+
+  // From the shared cache, else from the record this accessor loaded (the cache may be off or expired)
+  async function facts(inventoryId) {
+    const cached = cachedInventoryFacts(inventoryId);
+    if (cached) return cached;
+    const rec = await get(inventoryId);
+    if (!rec) throw new AirtableNotFoundError(`Inventory ${inventoryId} not found.`, { status: 404 });
+    return factsOf(rec);
+  }
+
+  return {
+    load,
+    get,
+    async linkedSellerId(inventoryId) {
+      const { sellerRecId } = await facts(inventoryId);
+      if (!sellerRecId) throw new Error(`Inventory ${inventoryId}: Linked Seller is empty.`);
+      return sellerRecId;
+    },
+    async sellerCountry(inventoryId) {
+      if (!inventoryId) return null;
+      return (await facts(inventoryId)).sellerCountry;
+    },
+  };
+}
+
 /* -------------------- Helpers for confirmation write -------------------- */
 
 export async function getInventoryLinkedSellerId(inventoryId) {
-  const rec = await airtableRequest("GET", `${encodeURIComponent(AIRTABLE_TABLE_INVENTORY)}/${inventoryId}`);
-  const id = getFirstLinkedId(rec.fields?.[FIELD_INV_LINKED_SELLER]);
-  if (!id) throw new Error(`Inventory ${inventoryId}: Linked Seller is empty.`);
-  return id;
+  return createInventoryAccessor().linkedSellerId(inventoryId);
+}
+
+const discordIds = (v) => (toText(v) || "").split(/[\s,;]+/).filter(x => /^\d{5,}$/.test(x));
+
+const discordBindingOf = (rec) => ({
+  userIds: discordIds(rec.fields?.[FIELD_SELLER_DISCORD_USERS]),
+  roleIds: discordIds(rec.fields?.[FIELD_SELLER_DISCORD_ROLE]),
+});
+
+/** Discord users / role allowed to act for a Seller record */
+export async function getSellerDiscordBinding(sellerRecId) {
+  const rec = await airtableRequest("GET", `${encodeURIComponent(AIRTABLE_TABLE_SELLERS)}/${sellerRecId}`);
+  return discordBindingOf(rec);
 }
 
-// Optional env override for the Inventory field name
-const { FIELD_INV_SELLER_COUNTRY = "Seller Country" } = process.env;
+/** Sellers a Discord user acts for, bound by user ID or by one of their roles: [{ id, sellerId }] */
+export async function findSellersForDiscordUser({ userId, roleIds = [] }) {
+  if (!userId) return [];
+  const digits = (v) => String(v).replace(/\D/g, "");
+  const conds = [
+    `FIND('${digits(userId)}', {${FIELD_SELLER_DISCORD_USERS}}&'')`,
+    ...roleIds.map(r => `FIND('${digits(r)}', {${FIELD_SELLER_DISCORD_ROLE}}&'')`),
+  ];
+  const records = await airtableList(AIRTABLE_TABLE_SELLERS, {
+    filterByFormula: conds.length === 1 ? conds[0] : `OR(${conds.join(",")})`,
+    fields: [FIELD_SELLER_ID, FIELD_SELLER_DISCORD_USERS, FIELD_SELLER_DISCORD_ROLE],
+  });
+  // FIND matches substrings; keep exact ID matches only
+  return records
+    .filter(rec => {
+      const b = discordBindingOf(rec);
+      return b.userIds.includes(userId) || b.roleIds.some(r => roleIds.includes(r));
+    })
+    .map(rec => ({ id: rec.id, sellerId: toText(rec.fields?.[FIELD_SELLER_ID]) }));
+}
 
 /** Read Inventory → Seller Country as readable text */
 export async function getInventorySellerCountry(inventoryId) {
-  if (!inventoryId) return null;
-  const rec = await airtableRequest("GET", `${encodeURIComponent(AIRTABLE_TABLE_INVENTORY)}/${inventoryId}`);
-  const raw = rec?.fields?.[FIELD_INV_SELLER_COUNTRY];
-  return toText(raw);
+  return createInventoryAccessor().sellerCountry(inventoryId);
 }
 
 
@@ -212,122 +983,220 @@ export async function setExternalConfirmation({
   offerVatTypeLabel, // "Margin" | "VAT0" | "VAT21"
   dealStatusName = "Closing",
   confirmedInventoryRecId, // NEW
+  confirmedByDiscordUserId, // who clicked (accountability)
 }) {
-  const tableName = encodeURIComponent(AIRTABLE_TABLE_EXTERNAL);
-  const recUrl = `${tableName}/${orderRecId}`;
-  const fields = {};
+  const fields = {
+    [FIELD_CONFIRMED_PRICE]:  typeof confirmedPrice === "number" ? round2(confirmedPrice) : null,
+    [FIELD_CONFIRMED_SELLER]: confirmedSellerRecId || null,
+    [FIELD_OFFER_STATUS]:     statusName,
+  };
 
-  fields[FIELD_CONFIRMED_PRICE || "Confirmed Offer Price"] =
-    typeof confirmedPrice === "number" ? round2(confirmedPrice) : null;
+  // NEW: store which Inventory row was confirmed (so we can decrement later); link or text, per schema.
+  // Left out (undefined) these stay as they are; null clears them (/unconfirm)
+  if (confirmedInventoryRecId !== undefined)  fields[FIELD_CONFIRMED_INVENTORY]  = confirmedInventoryRecId || null;
+  if (confirmedByDiscordUserId !== undefined) fields[FIELD_CONFIRMED_BY_DISCORD] = confirmedByDiscordUserId ? String(confirmedByDiscordUserId) : null;
+  if (offerVatTypeLabel !== undefined)        fields[FIELD_OFFER_VAT_TYPE]       = offerVatTypeLabel || null;
+  if (dealStatusName)           fields[FIELD_DEAL_STATUS]          = dealStatusName;
 
-  fields[FIELD_CONFIRMED_SELLER || "Confirmed Seller"] =
-    confirmedSellerRecId ? [confirmedSellerRecId] : [];
+  await updateRecord(AIRTABLE_TABLE_EXTERNAL, orderRecId, fields);
+}
 
-  // NEW: store which Inventory row was confirmed (so we can decrement later)
-  if (confirmedInventoryRecId) {
-    // Prefer linked field shape
-    fields[FIELD_CONFIRMED_INVENTORY || "Confirmed Inventory Unit"] = [confirmedInventoryRecId];
-  }
+/* -------------------- Multi-quantity: External Confirmations -------------------- */
 
-  try {
-    fields[FIELD_OFFER_STATUS || "Offer Status"] = { name: statusName };
-    if (offerVatTypeLabel) fields[FIELD_OFFER_VAT_TYPE || "Offer VAT Type"] = { name: offerVatTypeLabel };
-    if (dealStatusName)     fields[FIELD_DEAL_STATUS   || "Deal Status"]     = { name: dealStatusName };
-    await airtableRequest("PATCH", recUrl, { fields });
-  } catch {
-    fields[FIELD_OFFER_STATUS || "Offer Status"] = statusName;
-    if (offerVatTypeLabel) fields[FIELD_OFFER_VAT_TYPE || "Offer VAT Type"] = offerVatTypeLabel;
-    if (dealStatusName)     fields[FIELD_DEAL_STATUS   || "Deal Status"]     = dealStatusName;
-    // Fallback for Confirmed Inventory Unit if the field is text (not link)
-    if (confirmedInventoryRecId) {
-      fields[FIELD_CONFIRMED_INVENTORY || "Confirmed Inventory Unit"] = confirmedInventoryRecId;
-    }
-    await airtableRequest("PATCH", recUrl, { fields });
-  }
+/** Record one confirmed unit of a multi-quantity order */
+export async function createExternalConfirmation({
+  orderRecId, offerToken, sellerRecId, inventoryRecId, price, vatLabel, confirmedByDiscordUserId,
+}) {
+  return createRecord(AIRTABLE_TABLE_EXT_UNITS, {
+    [FIELD_EXTC_ORDER]:        orderRecId,
+    [FIELD_EXTC_ORDER_ID]:     orderRecId,
+    [FIELD_EXTC_OFFER_TOKEN]:  offerToken || null,
+    [FIELD_EXTC_SELLER]:       sellerRecId || null,
+    [FIELD_EXTC_INVENTORY]:    inventoryRecId || null,
+    [FIELD_EXTC_PRICE]:        typeof price === "number" ? round2(price) : null,
+    [FIELD_EXTC_VAT_TYPE]:     vatLabel || undefined,
+    [FIELD_EXTC_CONFIRMED_BY]: confirmedByDiscordUserId ? String(confirmedByDiscordUserId) : null,
+  });
+}
+
+export async function listExternalConfirmations(orderRecId) {
+  if (!orderRecId) return [];
+  const formula = `{${FIELD_EXTC_ORDER_ID}}='${orderRecId}'`;
+  const records = await airtableList(AIRTABLE_TABLE_EXT_UNITS, { filterByFormula: formula });
+  return records.map(r => {
+    const f = r.fields || {};
+    return {
+      id:             r.id,
+      offerToken:     toText(f[FIELD_EXTC_OFFER_TOKEN]),
+      sellerRecId:    getFirstLinkedId(f[FIELD_EXTC_SELLER]),
+      inventoryRecId: getFirstLinkedId(f[FIELD_EXTC_INVENTORY]),
+      price:          asNumber(f[FIELD_EXTC_PRICE]),
+      vatLabel:       getSingleSelectLabel(f[FIELD_EXTC_VAT_TYPE]),
+      salesId:        getFirstLinkedId(f[FIELD_EXTC_SALE]),
+      inventoryDecremented: !!f[FIELD_EXTC_INV_DONE],
+    };
+  });
+}
+
+/** Link the Sales row created at finalize back to its confirmed unit */
+export async function linkConfirmationSale(confirmationId, salesId) {
+  await updateRecord(AIRTABLE_TABLE_EXT_UNITS, confirmationId, { [FIELD_EXTC_SALE]: salesId });
+}
+
+/** Finalize progress for one unit: its Inventory Quantity was decremented */
+export async function markConfirmationDecremented(confirmationId) {
+  await updateRecord(AIRTABLE_TABLE_EXT_UNITS, confirmationId, { [FIELD_EXTC_INV_DONE]: true });
+}
+
+/** Offer/Deal status (+ optional set of confirmed sellers) without touching price fields */
+export async function setExternalOfferStatus(orderRecId, { statusName, dealStatusName, confirmedSellerRecIds }) {
+  const fields = {};
+  if (confirmedSellerRecIds) fields[FIELD_CONFIRMED_SELLER] = [...new Set(confirmedSellerRecIds)];
+  if (statusName)            fields[FIELD_OFFER_STATUS]     = statusName;
+  if (dealStatusName)        fields[FIELD_DEAL_STATUS]      = dealStatusName;
+  await updateRecord(AIRTABLE_TABLE_EXTERNAL, orderRecId, fields);
 }
 
 /* ==================== External → Sales & Affiliate helpers ==================== */
 
+/** Current Offer Status label of an External Sales Log record (e.g. "Confirmed") */
+export async function getExternalOfferStatus(orderRecId) {
+  const rec = await airtableRequest("GET", `${encodeURIComponent(AIRTABLE_TABLE_EXTERNAL)}/${orderRecId}`);
+  return getSingleSelectLabel(rec?.fields?.[FIELD_OFFER_STATUS]);
+}
+
 export async function readExternalRecord(recordId) {
   const path = `${encodeURIComponent(AIRTABLE_TABLE_EXTERNAL)}/${recordId}`;
   const { fields } = await airtableRequest("GET", path);
   return fields || {};
 }
 
+/** Deal summaries of External records, for seller overviews and deny analytics */
+export async function listExternalDeals(orderRecIds) {
+  const records = await airtableListByIds(AIRTABLE_TABLE_EXTERNAL, [...new Set(orderRecIds.filter(Boolean))]);
+  return records.map(rec => {
+    const f = rec.fields || {};
+    return {
+      id:              rec.id,
+      externalOrderId: toText(f[FIELD_EXT_ORDER_ID]),
+      productName:     toText(f[FIELD_PRODUCT_NAME]),
+      sku:             toText(f[FIELD_SKU_NAME]),
+      brand:           toText(f[FIELD_BRAND]),
+      size:            toText(f[FIELD_SIZE]),
+      offerStatus:     getSingleSelectLabel(f[FIELD_OFFER_STATUS]),
+      dealStatus:      getSingleSelectLabel(f[FIELD_DEAL_STATUS]),
+      confirmedPrice:  asNumber(f[FIELD_CONFIRMED_PRICE]),
+    };
+  });
+}
+
+/* -------------------- Finalize progress (External record) -------------------- */
+
+/** What an earlier finalize run already did: { salesIds, affiliateId, inventoryDecremented } */
+export function readFinalizeProgress(exFields) {
+  return {
+    salesIds: (toText(exFields[FIELD_FINALIZE_SALES_IDS]) || "").split(/[\s,]+/).filter(Boolean),
+    affiliateId: toText(exFields[FIELD_FINALIZE_AFFILIATE_ID]),
+    inventoryDecremented: !!exFields[FIELD_FINALIZE_INV_DONE],
+  };
+}
+
+/** Persist a finalize step right after it succeeded, so a re-run can skip it */
+export async function saveFinalizeProgress(recordId, { salesIds, affiliateId, inventoryDecremented }) {
+  const fields = {};
+  if (salesIds)                     fields[FIELD_FINALIZE_SALES_IDS]    = salesIds.join(", ");
+  if (affiliateId)                  fields[FIELD_FINALIZE_AFFILIATE_ID] = affiliateId;
+  if (inventoryDecremented != null) fields[FIELD_FINALIZE_INV_DONE]     = !!inventoryDecremented;
+  await updateRecord(AIRTABLE_TABLE_EXTERNAL, recordId, fields);
+}
+
 export async function writeExternalFeedback(recordId, { feedback, dealStatusName }) {
-  const path = `${encodeURIComponent(AIRTABLE_TABLE_EXTERNAL)}/${recordId}`;
   const fields = {};
-  if (feedback != null) fields[FIELD_BOT_FEEDBACK || "Bot Feedback"] = String(feedback);
-  if (dealStatusName)   fields[FIELD_DEAL_STATUS  || "Deal Status"]  = { name: dealStatusName };
-  try {
-    await airtableRequest("PATCH", path, { fields });
-  } catch {
-    if (dealStatusName) fields[FIELD_DEAL_STATUS || "Deal Status"] = dealStatusName;
-    await airtableRequest("PATCH", path, { fields });
-  }
+  if (feedback != null) fields[FIELD_BOT_FEEDBACK] = String(feedback);
+  if (dealStatusName)   fields[FIELD_DEAL_STATUS]  = dealStatusName;
+  await updateRecord(AIRTABLE_TABLE_EXTERNAL, recordId, fields);
 }
 
-export async function decrementInventoryQuantity(inventoryId, amount = 1) {
-  if (!inventoryId) return;
+/* -------------------- Inventory quantity & reservations -------------------- */
+// Arithmetic and locking live in lib/reservations.js; these are the plain reads/writes.
 
-  try {
-    const invPath = `${encodeURIComponent(AIRTABLE_TABLE_INVENTORY)}/${inventoryId}`;
-    const inv = await airtableRequest("GET", invPath);
-    const cur = asNumber(inv?.fields?.[FIELD_INV_QTY || "Quantity"]) ?? 0;
-
-    const next = Math.max(0, (cur || 0) - (amount || 0));
-    await airtableRequest("PATCH", invPath, {
-      fields: { [FIELD_INV_QTY || "Quantity"]: next }
-    });
-  } catch (e) {
-    // Geen deal killen, alleen loggen
-    console.warn(
-      `decrementInventoryQuantity warn for ${inventoryId}:`,
-      e.message
-    );
-  }
+export async function getInventoryQuantity(inventoryId) {
+  const inv = await airtableRequest("GET", `${encodeURIComponent(AIRTABLE_TABLE_INVENTORY)}/${inventoryId}`);
+  return asNumber(inv?.fields?.[FIELD_INV_QTY]) ?? 0;
 }
 
+export async function setInventoryQuantity(inventoryId, quantity) {
+  await updateRecord(AIRTABLE_TABLE_INVENTORY, inventoryId, { [FIELD_INV_QTY]: Math.max(0, quantity) });
+}
 
-/** Probeer de gegeven Inventory-ID te lezen; als hij niet bestaat → null i.p.v. error */
-async function tryGetInventoryById(invId) {
-  if (!invId) return null;
-  const invPath = `${encodeURIComponent(AIRTABLE_TABLE_INVENTORY)}/${invId}`;
-  try {
-    return await airtableRequest("GET", invPath);
-  } catch (e) {
-    // 404 / INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND → treat as "niet gevonden"
-    console.warn("tryGetInventoryById warn:", e.message);
-    return null;
-  }
+export async function createReservation({ inventoryId, orderRecId, offerToken, expiresAt }) {
+  return createRecord(AIRTABLE_TABLE_RESERVATIONS, {
+    [FIELD_RES_INVENTORY]:    inventoryId,
+    [FIELD_RES_INVENTORY_ID]: inventoryId,
+    [FIELD_RES_ORDER]:        orderRecId,
+    [FIELD_RES_ORDER_ID]:     orderRecId,
+    [FIELD_RES_OFFER_TOKEN]:  offerToken || null,
+    [FIELD_RES_STATUS]:       "Active",
+    [FIELD_RES_EXPIRES_AT]:   expiresAt ? new Date(expiresAt).toISOString() : null,
+  });
+}
+
+/** Active reservations for an Inventory row and/or an order */
+export async function listActiveReservations({ inventoryId, orderRecId } = {}) {
+  const conds = [`{${FIELD_RES_STATUS}}='Active'`];
+  if (inventoryId) conds.push(`{${FIELD_RES_INVENTORY_ID}}='${inventoryId}'`);
+  if (orderRecId)  conds.push(`{${FIELD_RES_ORDER_ID}}='${orderRecId}'`);
+  const records = await airtableList(AIRTABLE_TABLE_RESERVATIONS, { filterByFormula: `AND(${conds.join(",")})` });
+  return records.map(mapReservation);
+}
+
+/** Active reservations whose Expires At has passed */
+export async function listDueReservations() {
+  const formula =
+    `AND({${FIELD_RES_STATUS}}='Active', {${FIELD_RES_EXPIRES_AT}}, IS_BEFORE({${FIELD_RES_EXPIRES_AT}}, NOW()))`;
+  const records = await airtableList(AIRTABLE_TABLE_RESERVATIONS, { filterByFormula: formula });
+  return records.map(mapReservation);
+}
+
+/** "Released" (cancel / expiry) or "Consumed" (finalized) */
+export async function closeReservation(reservationId, { status, reason }) {
+  await updateRecord(AIRTABLE_TABLE_RESERVATIONS, reservationId, {
+    [FIELD_RES_STATUS]: status,
+    [FIELD_RES_REASON]: reason || null,
+  });
+}
+
+function mapReservation(rec) {
+  const f = rec.fields || {};
+  return {
+    id:          rec.id,
+    inventoryId: toText(f[FIELD_RES_INVENTORY_ID]),
+    orderRecId:  toText(f[FIELD_RES_ORDER_ID]),
+    offerToken:  toText(f[FIELD_RES_OFFER_TOKEN]),
+    expiresAt:   f[FIELD_RES_EXPIRES_AT] ? new Date(f[FIELD_RES_EXPIRES_AT]) : null,
+  };
 }
 
+
 /** Zoek in Inventory op basis van Seller + Stock Levels */
 async function findInventoryBySellerAndStock({ sellerId, stockLevelId }) {
   if (!sellerId && !stockLevelId) return null;
 
-  const tablePath = encodeURIComponent(AIRTABLE_TABLE_INVENTORY);
+  const sellerField = FIELD_INV_LINKED_SELLER;
   const conds = [];
 
   if (sellerId) {
-    conds.push(`{${FIELD_INV_LINKED_SELLER || "Linked Seller"}}='${sellerId}'`);
+    conds.push(`{${sellerField}}='${sellerId}'`);
   }
   if (stockLevelId) {
-    conds.push(`{${FIELD_INV_STOCK_LINK || "Stock Levels"}}='${stockLevelId}'`);
+    conds.push(`{${FIELD_INV_STOCK_LINK}}='${stockLevelId}'`);
   }
 
-  const formula =
-    conds.length === 0 ? "" :
-    conds.length === 1 ? conds[0] :
-    `AND(${conds.join(",")})`;
-
-  const url = formula
-    ? `${tablePath}?filterByFormula=${encodeURIComponent(formula)}&maxRecords=1`
-    : `${tablePath}?maxRecords=1`;
+  const formula = conds.length === 1 ? conds[0] : `AND(${conds.join(",")})`;
 
-  const data = await airtableRequest("GET", url);
-  const recs = data.records || [];
-  return recs[0]?.id || null; // als er meerdere zijn gewoon de eerste
+  // Only the record id is needed
+  const rec = await airtableFindOne(AIRTABLE_TABLE_INVENTORY, formula, { fields: [sellerField] });
+  return rec?.id || null; // als er meerdere zijn gewoon de eerste
 }
 
 /**
@@ -336,14 +1205,14 @@ async function findInventoryBySellerAndStock({ sellerId, stockLevelId }) {
  * 2) als die niet (meer) bestaat → zoek in Inventory op Stock Levels Link + Seller ID
  * 3) als er dan nog steeds niets is → gooi een error (deal mag niet doorgaan)
  */
-async function resolveConfirmedInventoryIdForExternal(exFields) {
+async function resolveConfirmedInventoryIdForExternal(exFields, inventory) {
   // 1) Probeer direct vanuit Confirmed Inventory Unit
   let confirmedInventoryId =
-    getFirstLinkedId(exFields[FIELD_CONFIRMED_INVENTORY || "Confirmed Inventory Unit"]) ||
-    toText(exFields[FIELD_CONFIRMED_INVENTORY || "Confirmed Inventory Unit"]);
+    getFirstLinkedId(exFields[FIELD_CONFIRMED_INVENTORY]) ||
+    toText(exFields[FIELD_CONFIRMED_INVENTORY]);
 
   if (confirmedInventoryId) {
-    const exists = await tryGetInventoryById(confirmedInventoryId);
+    const exists = await inventory.get(confirmedInventoryId);
     if (exists) return confirmedInventoryId;
     console.warn(
       `Confirmed Inventory Unit ${confirmedInventoryId} bestaat niet meer, fallback search...`
@@ -352,17 +1221,13 @@ async function resolveConfirmedInventoryIdForExternal(exFields) {
 
   // 2) Fallback: haal Seller & Stock Levels uit External Sales Log
   const sellerIdFromConfirmed =
-    getFirstLinkedId(exFields[FIELD_CONFIRMED_SELLER || "Confirmed Seller"]);
+    getFirstLinkedId(exFields[FIELD_CONFIRMED_SELLER]);
   const sellerIdFromExt =
-    getFirstLinkedId(
-      exFields[FIELD_EXT_SELLER_LINK] ||
-      exFields["Seller ID"] ||
-      exFields["Linked Seller"]
-    );
+    getFirstLinkedId(exFields[FIELD_EXT_SELLER_LINK]);
   const sellerId = sellerIdFromConfirmed || sellerIdFromExt || null;
 
   const stockLevelId =
-    getFirstLinkedId(exFields[FIELD_EXT_STOCK_LINK] || exFields["Stock Levels Link"]) || null;
+    getFirstLinkedId(exFields[FIELD_EXT_STOCK_LINK]) || null;
 
   if (!sellerId && !stockLevelId) {
     console.warn("Fallback Inventory search: geen Seller ID en geen Stock Levels Link beschikbaar.");
@@ -385,101 +1250,80 @@ async function resolveConfirmedInventoryIdForExternal(exFields) {
 }
 
 
-/** Create Sales record from External fields; returns new Sales record id
- *  ALSO: if External.Confirmed Inventory Unit is set, decrement Quantity by 1 (NEW)
- */
-/** Create Sales record from External fields; returns new Sales record id
- *  ALSO: if External.Confirmed Inventory Unit is set, decrement Quantity by 1
+/** Create Sales record from External fields; returns { id, inventoryId }
+ *  `inventoryId` is the resolved Confirmed Inventory Unit; the caller turns its reservation into a
+ *  Quantity decrement (lib/reservations.js consumeReservation)
  *  NEW: accepts { overrideVatType } to set Sales.VAT Type from Selling VAT logic
+ *  NEW: accepts { unit } (from listExternalConfirmations) for multi-quantity orders:
+ *       seller, price, VAT and Inventory come from that confirmed unit instead of the External record
+ *  { inventory }: accessor (createInventoryAccessor) shared by one finalize run
  */
 export async function createSalesFromExternal(ex, opts = {}) {
-  const { overrideVatType } = opts;
+  const { overrideVatType, unit, inventory } = opts;
 
-  const skuId        = getFirstLinkedId(ex[FIELD_SKU || "SKU"]);
-  const sellerId     = getFirstLinkedId(ex[FIELD_CONFIRMED_SELLER || "Confirmed Seller"]);
-  const shipping     = attachmentsForWrite(ex[FIELD_SHIPPING_LABEL || "Shipping Label"]);
-  const finalPrice   = asNumber(ex[FIELD_CONFIRMED_PRICE || "Confirmed Offer Price"]);
+  const skuId        = getFirstLinkedId(ex[FIELD_SKU]);
+  const sellerId     = unit ? unit.sellerRecId : getFirstLinkedId(ex[FIELD_CONFIRMED_SELLER]);
+  const shipping     = attachmentsForWrite(ex[FIELD_SHIPPING_LABEL]);
+  const finalPrice   = unit ? unit.price : asNumber(ex[FIELD_CONFIRMED_PRICE]);
 
   // Prefer override from finalize route; fallback to Offer VAT Type for legacy
-  const vatNameOverride = overrideVatType || getSingleSelectLabel(ex[FIELD_OFFER_VAT_TYPE || "Offer VAT Type"]);
+  const vatNameOverride = unit
+    ? unit.vatLabel || overrideVatType
+    : overrideVatType || getSingleSelectLabel(ex[FIELD_OFFER_VAT_TYPE]);
 
   // NEW: resolve Confirmed Inventory Unit met fallback logic
-  const confirmedInventoryId = await resolveConfirmedInventoryIdForExternal(ex);
-
-
-  const fields = {
-    [FIELD_SALE_PRODUCT_NAME]: toText(ex[FIELD_PRODUCT_NAME || "Product Name"]) || null,
-    [FIELD_SALE_SKU]:          skuId ? [skuId] : [],
-    [FIELD_SALE_SIZE]:         toText(ex[FIELD_SIZE || "Size"])  || null,
-    [FIELD_SALE_BRAND]:        toText(ex[FIELD_BRAND || "Brand"]) || null,
-    [FIELD_SALE_FINAL_PRICE]:  finalPrice != null ? round2(finalPrice) : null,
-    [FIELD_SALE_SELLER_LINK]:  sellerId ? [sellerId] : [],
+  const confirmedInventoryId = await resolveSaleInventoryId(ex, unit, inventory);
+
+  const id = await createRecord(AIRTABLE_TABLE_SALES, {
+    [FIELD_SALE_PRODUCT_NAME]:   toText(ex[FIELD_PRODUCT_NAME]) || null,
+    [FIELD_SALE_SKU]:            skuId || null,
+    [FIELD_SALE_SIZE]:           toText(ex[FIELD_SIZE])  || null,
+    [FIELD_SALE_BRAND]:          toText(ex[FIELD_BRAND]) || null,
+    [FIELD_SALE_FINAL_PRICE]:    finalPrice != null ? round2(finalPrice) : null,
+    [FIELD_SALE_SELLER_LINK]:    sellerId || null,
     [FIELD_SALE_SHIPPING_LABEL]: shipping.length ? shipping : undefined,
-    ...(vatNameOverride ? { [FIELD_SALE_VAT_TYPE]: { name: vatNameOverride } } : {}),
-  };
+    [FIELD_SALE_VAT_TYPE]:       vatNameOverride || undefined,
+  });
 
-  const path = encodeURIComponent(AIRTABLE_TABLE_SALES);
-  try {
-    const r = await airtableRequest("POST", path, { fields });
+  return { id, inventoryId: confirmedInventoryId };
+}
 
-    // Decrement Quantity on the confirmed Inventory record
-    if (confirmedInventoryId) {
-      await decrementInventoryQuantity(confirmedInventoryId, 1);
-    }
-    return r.id;
-  } catch (e1) {
-    // Fallback for bases that expect a plain string for single-select
-    if (vatNameOverride) fields[FIELD_SALE_VAT_TYPE] = vatNameOverride;
-    const r2 = await airtableRequest("POST", path, { fields });
-
-    if (confirmedInventoryId) {
-      await decrementInventoryQuantity(confirmedInventoryId, 1);
-    }
-    return r2.id;
-  }
+/** Inventory record a sale is taken from: the confirmed unit's, or the External record's (with fallback search) */
+export async function resolveSaleInventoryId(ex, unit, inventory = createInventoryAccessor()) {
+  return unit ? resolveConfirmedUnitInventoryId(unit, inventory) : resolveConfirmedInventoryIdForExternal(ex, inventory);
 }
 
-/** Create Affiliate Sales record; returns new id */
-export async function createAffiliateFromExternal(ex, salesId) {
-  const skuId       = getFirstLinkedId(ex[FIELD_SKU || "SKU"]);
-  const dealPrice   = asNumber(ex[FIELD_FINAL_DEAL_PRICE || "Final Deal Price"]);
+/** Confirmed unit of a multi-quantity order → its Inventory record (must still exist) */
+async function resolveConfirmedUnitInventoryId(unit, inventory) {
+  if (unit.inventoryRecId && await inventory.get(unit.inventoryRecId)) return unit.inventoryRecId;
+  throw new Error(
+    `No Inventory record found for confirmed unit ${unit.id} (pair likely removed from seller inventory).`
+  );
+}
+
+/** Create Affiliate Sales record; returns new id. `salesIds` may be one id or a list (multi-quantity) */
+export async function createAffiliateFromExternal(ex, salesIds) {
+  const skuId       = getFirstLinkedId(ex[FIELD_SKU]);
+  const dealPrice   = asNumber(ex[FIELD_FINAL_DEAL_PRICE]);
 
   // NEW: read the External Order ID (formula) from External Sales Log record
-  const externalOrderNo = toText(ex[FIELD_EXT_ORDER_ID || "External Order ID"]);
+  const externalOrderNo = toText(ex[FIELD_EXT_ORDER_ID]);
 
   // NEW: Linked Affiliate (if present)
-  const linkedAffiliateId = getFirstLinkedId(ex[FIELD_LINKED_AFFILIATE || "Linked Affiliate"]);
+  const linkedAffiliateId = getFirstLinkedId(ex[FIELD_LINKED_AFFILIATE]);
 
   // NEW: read Selling VAT Type from External (single-select)
   const sellingVatTypeName = getSingleSelectLabel(
-    ex[FIELD_EXT_SELLING_VAT_TYPE || "Selling VAT Type"]
+    ex[FIELD_EXT_SELLING_VAT_TYPE]
   );
 
-  const fields = {
-    [FIELD_AFF_SKU]:           skuId ? [skuId] : [],
-    [FIELD_AFF_SELLING_PRICE]: dealPrice != null ? round2(dealPrice) : null,
-    [FIELD_AFF_LINKED_SALES]:  salesId ? [salesId] : [],
-    ...(linkedAffiliateId ? { [FIELD_AFF_LINKED_AFFILIATE]: [linkedAffiliateId] } : {}),
-    ...(externalOrderNo
-        ? { [FIELD_AFF_EXTERNAL_ORDER_NO || "External Order Number"]: externalOrderNo }
-        : {}),
-    ...(sellingVatTypeName
-        ? { [FIELD_AFF_SELLING_VAT_TYPE || "Selling VAT Type"]: { name: sellingVatTypeName } }
-        : {}),
-  };
-
-  const path = encodeURIComponent(AIRTABLE_TABLE_AFFILIATE);
-
-  try {
-    const r = await airtableRequest("POST", path, { fields });
-    return r.id;
-  } catch (e) {
-    // Fallback: some bases expect a plain string for single-select
-    if (sellingVatTypeName) {
-      fields[FIELD_AFF_SELLING_VAT_TYPE || "Selling VAT Type"] = sellingVatTypeName;
-    }
-    const r2 = await airtableRequest("POST", path, { fields });
-    return r2.id;
-  }
+  return createRecord(AIRTABLE_TABLE_AFFILIATE, {
+    [FIELD_AFF_SKU]:               skuId || null,
+    [FIELD_AFF_SELLING_PRICE]:     dealPrice != null ? round2(dealPrice) : null,
+    [FIELD_AFF_LINKED_SALES]:      [].concat(salesIds || []).filter(Boolean),
+    [FIELD_AFF_LINKED_AFFILIATE]:  linkedAffiliateId || undefined,
+    [FIELD_AFF_EXTERNAL_ORDER_NO]: externalOrderNo || undefined,
+    [FIELD_AFF_SELLING_VAT_TYPE]:  sellingVatTypeName || undefined,
+  });
 }
 
@@ -1,218 +1,584 @@
 // lib/discord.js
-import fetch from "node-fetch";
-import { Client, GatewayIntentBits, Events } from "discord.js";
+import { once } from "node:events";
+import { Client, GatewayIntentBits, Events, ChannelType, Routes } from "discord.js";
+import { withLock } from "./locks.js";
+import { sellerLocale, t } from "./i18n.js";
+import { DENY_REASONS } from "./offers.js";
 
 const {
   DISCORD_BOT_TOKEN,
   DISCORD_GUILD_ID,
   DISCORD_CHANNEL_ID,
-  ALLOW_CHANNEL_CREATE
+  DISCORD_STAFF_CHANNEL_ID, // staff review channel (counter offers)
+  DISCORD_STAFF_ALERTS_CHANNEL_ID = DISCORD_STAFF_CHANNEL_ID, // failed clicks are reported here
+  ALLOW_CHANNEL_CREATE,
+  DISCORD_SELLER_CATEGORIES = "", // explicit "sellerId=categoryId" pairs, comma separated
+  DISCORD_REST_RETRIES = "3", // 5xx / network retries per request (429s are always waited out)
 } = process.env;
 
 const EXTERNAL_CHANNEL_NAME = process.env.EXTERNAL_CHANNEL_NAME || "pre-confirms"; // Offer & Confirm go here
 const CONFIRM_CHANNEL_NAME  = process.env.CONFIRM_CHANNEL_NAME  || "pre-confirms"; // same as above
 const DEAL_CHANNEL_NAME = process.env.DEAL_CHANNEL_NAME || "deal-updates";
 
-const API = "https://discord.com/api/v10";
-
 let client;
 export async function initDiscord() {
   if (client) return client;
-  client = new Client({ intents: [GatewayIntentBits.Guilds] });
+  client = new Client({
+    intents: [GatewayIntentBits.Guilds],
+    rest: { retries: Number(DISCORD_REST_RETRIES) },
+  });
   await client.login(DISCORD_BOT_TOKEN);
   console.log("✅ Discord logged in as", client.user?.tag);
+
+  const register = () => registerSlashCommands().catch(e => console.error("slash command registration failed:", e.message));
+  if (client.isReady()) register();
+  else client.once(Events.ClientReady, register);
   return client;
 }
 
+/* -------------------- Slash commands -------------------- */
+// Guild commands (show up right away, unlike global ones); replies are ephemeral
+const ORDER_OPTION = { type: 3, name: "order", description: "External Sales Log record ID (rec…)", required: true };
+
+const SLASH_COMMANDS = [
+  { name: "my-offers", description: "Your open offers and confirmation requests, with links" },
+  { name: "my-deals",  description: "Pairs you confirmed and the status of each deal" },
+
+  // Staff only (DISCORD_STAFF_ROLE_IDS, checked when the command runs)
+  {
+    name: "order-status", description: "Staff: every offer message of an order and its state",
+    options: [ORDER_OPTION, { type: 3, name: "seller", description: "Only this seller's messages (e.g. SE-00481)" }],
+  },
+  {
+    name: "close-order", description: "Staff: disable all offer buttons of an order",
+    options: [ORDER_OPTION, { type: 3, name: "reason", description: "Shown on the closed messages" }],
+  },
+  {
+    name: "resend-offer", description: "Staff: post a seller's offer for an order again",
+    options: [ORDER_OPTION, { type: 3, name: "seller", description: "Seller ID as on the offer (e.g. SE-00481)", required: true }],
+  },
+  {
+    name: "unconfirm", description: "Staff: undo an order's confirmation and re-open the other sellers' offers",
+    options: [ORDER_OPTION],
+  },
+];
+
+async function registerSlashCommands() {
+  if (!DISCORD_GUILD_ID) {
+    console.warn("[Discord] DISCORD_GUILD_ID not set; slash commands not registered");
+    return;
+  }
+  await discordRequest(
+    "register commands", "put", Routes.applicationGuildCommands(client.application.id, DISCORD_GUILD_ID), SLASH_COMMANDS
+  );
+  console.log(`✅ Registered /${SLASH_COMMANDS.map(c => c.name).join(", /")}`);
+}
+
+/** Link that jumps to a message in the guild */
+export const messageUrl = (channelId, messageId) =>
+  `https://discord.com/channels/${DISCORD_GUILD_ID || "@me"}/${channelId}/${messageId}`;
+
+/**
+ * Buttons carry only `action|offerToken`; the offer itself is stored server-side.
+ * Legacy buttons (`action|orderRecId|sellerId|inventoryRecordId|price|vat`) arrive
+ * with offerToken = null and are resolved by their message instead.
+ */
+const parseCustomId = (customId) => {
+  const parts = String(customId).split("|");
+  return { action: parts[0], offerToken: parts.length === 2 ? parts[1] : null };
+};
+
+// Modals and menus are answers to the clicker, so they follow the clicker's Discord language
+const interactionLocale = (interaction) => sellerLocale({ language: interaction.locale });
+
+// Who clicked: user ID plus guild role IDs (member is a GuildMember or a raw API member)
+const clickerOf = (interaction) => {
+  const roles = interaction.member?.roles;
+  return {
+    userId: interaction.user?.id,
+    userTag: interaction.user?.tag || interaction.user?.username,
+    roleIds: Array.isArray(roles) ? roles : [...(roles?.cache?.keys?.() || [])],
+  };
+};
+
+/**
+ * Every click / slash command gets an ephemeral answer with the real outcome: handlers return
+ * { reply }, a thrown error becomes "reply.failed" plus a post in the staff alerts channel.
+ * Handlers also get the clicker's Discord `locale`, for replies that have no offer to take it from.
+ */
+async function runHandler(interaction, handler, evt) {
+  const locale = interactionLocale(interaction);
+  await interaction.deferReply({ ephemeral: true }).catch(() => {});
+  try {
+    const result = await handler({ ...evt, locale });
+    await interaction.editReply({ content: result?.reply || "✅ Done." });
+  } catch (e) {
+    console.error("interaction handler error:", e);
+    await interaction.editReply({ content: t(locale, "reply.failed") }).catch(() => {});
+    await sendStaffAlert(
+      evt.command
+        ? `⚠️ \`/${evt.command}\` failed for <@${evt.clicker?.userId}>: ${e.message}`
+        : `⚠️ \`${evt.action}\` failed for <@${evt.clicker?.userId}> ` +
+          `(offer ${evt.offerToken || "legacy"}, message ${evt.messageId || "—"}): ${e.message}`
+    ).catch(err => console.error("staff alert error:", err));
+  }
+}
+
 export async function onButtonInteraction(handler) {
   await initDiscord();
   client.on(Events.InteractionCreate, async (interaction) => {
-    if (!interaction.isButton()) return;
-    await interaction.deferUpdate().catch(() => {});
-    try {
-      const [action, orderRecId, sellerId, inventoryRecordId, offerPriceStr, vatLabel] =
-        String(interaction.customId).split("|");
-      const offerPrice = Number(offerPriceStr);
-      await handler({
-        action, orderRecId, sellerId, inventoryRecordId, offerPrice, vatLabel,
+    // Counter modal / "Other" deny reason submitted by the seller
+    if (interaction.isModalSubmit()) {
+      const { action, offerToken } = parseCustomId(interaction.customId);
+      if (action === "counter_modal") {
+        await runHandler(interaction, handler, {
+          action: "counter_submit",
+          offerToken,
+          counterPrice: parsePrice(interaction.fields.getTextInputValue("counter_price")),
+          clicker: clickerOf(interaction),
+          channelId: interaction.channelId,
+          messageId: interaction.message?.id,
+        });
+      } else if (action === "deny_modal") {
+        await runHandler(interaction, handler, {
+          action: "deny_ext",
+          offerToken,
+          denyReason: "Other",
+          denyNote: interaction.fields.getTextInputValue("deny_note").trim(),
+          clicker: clickerOf(interaction),
+          channelId: interaction.channelId,
+        });
+      }
+      return;
+    }
+
+    // Deny reason picked from the menu; "Other" first asks for a note
+    if (interaction.isStringSelectMenu()) {
+      const { action, offerToken } = parseCustomId(interaction.customId);
+      if (action !== "deny_reason") return;
+      const [denyReason] = interaction.values;
+      if (denyReason === "Other") {
+        const locale = interactionLocale(interaction);
+        await interaction.showModal({
+          custom_id: `deny_modal|${offerToken}`,
+          title: t(locale, "deny.modalTitle"),
+          components: [{
+            type: 1,
+            components: [{
+              type: 4, style: 2, custom_id: "deny_note",
+              label: t(locale, "deny.noteLabel"),
+              required: true, min_length: 2, max_length: 300
+            }]
+          }]
+        }).catch(e => console.error("showModal error:", e));
+        return;
+      }
+      // channelId only: the menu lives on our ephemeral reply, the offer message comes from the token
+      await runHandler(interaction, handler, {
+        action: "deny_ext", offerToken, denyReason,
+        clicker: clickerOf(interaction),
         channelId: interaction.channelId,
-        messageId: interaction.message?.id,
       });
-    } catch (e) { console.error("onButtonInteraction error:", e); }
+      return;
+    }
+
+    if (!interaction.isButton()) return;
+    const { action, offerToken } = parseCustomId(interaction.customId);
+
+    // Deny button: ask for a reason first (legacy buttons without a token deny right away)
+    if (action === "deny_ext" && offerToken) {
+      const locale = interactionLocale(interaction);
+      await interaction.reply({
+        ephemeral: true,
+        content: t(locale, "deny.prompt"),
+        components: [{
+          type: 1,
+          components: [{
+            type: 3, custom_id: `deny_reason|${offerToken}`, placeholder: t(locale, "deny.placeholder"),
+            options: DENY_REASONS.map(r => ({ label: t(locale, `deny.${r}`), value: r }))
+          }]
+        }]
+      }).catch(e => console.error("deny menu error:", e));
+      return;
+    }
+
+    // Counter button: open the price modal (must be the first response, so no defer)
+    if (action === "counter_ext") {
+      const locale = interactionLocale(interaction);
+      await interaction.showModal({
+        custom_id: offerToken ? `counter_modal|${offerToken}` : "counter_modal",
+        title: t(locale, "counter.title"),
+        components: [{
+          type: 1,
+          components: [{
+            type: 4, style: 1, custom_id: "counter_price",
+            label: t(locale, "counter.label"),
+            required: true, min_length: 1, max_length: 10
+          }]
+        }]
+      }).catch(e => console.error("showModal error:", e));
+      return;
+    }
+
+    await runHandler(interaction, handler, {
+      action, offerToken,
+      clicker: clickerOf(interaction),
+      channelId: interaction.channelId,
+      messageId: interaction.message?.id,
+    });
   });
 }
 
+/** Slash commands: handler gets { command, options: { name: value }, clicker, locale } and returns { reply } */
+export async function onSlashCommand(handler) {
+  await initDiscord();
+  client.on(Events.InteractionCreate, async (interaction) => {
+    if (!interaction.isChatInputCommand()) return;
+    await runHandler(interaction, handler, {
+      command: interaction.commandName,
+      options: Object.fromEntries(interaction.options.data.map(o => [o.name, o.value])),
+      clicker: clickerOf(interaction),
+    });
+  });
+}
+
+// "€ 1.234,50" / "120" / "119.99" → number (null if not a positive amount)
+function parsePrice(raw) {
+  let t = String(raw || "").replace(/[^\d.,]/g, "");
+  if (t.includes(",") && t.includes(".")) t = t.replace(/[.,](?=\d{3}(\D|$))/g, "");
+  const n = parseFloat(t.replace(",", "."));
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 100) / 100 : null;
+}
+
+/* -------------------- REST -------------------- */
+// Every call goes through the client's REST manager (the same one discord.js uses for channel
+// creation): requests are queued per rate-limit bucket, 429s wait for `retry_after` (global and
+// per route), 5xx / network errors are retried up to DISCORD_REST_RETRIES times.
+async function discordRequest(label, method, route, body) {
+  const { rest } = await initDiscord();
+  try {
+    return await rest[method](route, body === undefined ? {} : { body });
+  } catch (e) {
+    throw new Error(`${label} → ${e.status ?? "network"} ${e.message}`, { cause: e });
+  }
+}
+
 /* -------------------- Channels -------------------- */
-async function listGuildChannels() {
-  if (!DISCORD_GUILD_ID) {
-    if (!DISCORD_CHANNEL_ID) throw new Error("Set DISCORD_CHANNEL_ID or DISCORD_GUILD_ID");
-    return [{ id: DISCORD_CHANNEL_ID, type: 0, name: "fallback" }];
+// Seller categories and their channels come from the discord.js guild cache, which the gateway
+// keeps current, instead of listing every guild channel per message. A seller's category is the
+// one pinned in DISCORD_SELLER_CATEGORIES, else the one named exactly after the seller name or ID;
+// it is remembered by seller ID once found, so renaming it doesn't break lookups. Creation runs
+// under a per-seller lock, so parallel sends can't create the same category or channel twice.
+const norm = (s) => String(s || "").trim().toLowerCase();
+const allowCreate = () => String(ALLOW_CHANNEL_CREATE).toLowerCase() === "true";
+
+// seller ID (normalized) → category id; pinned entries are never replaced or forgotten
+const pinnedCategories = new Map(
+  DISCORD_SELLER_CATEGORIES.split(",").map(pair => pair.split("=").map(norm)).filter(([seller, id]) => seller && id)
+);
+const sellerCategories = new Map(pinnedCategories);
+const categoriesByName = new Map(); // category name (normalized) → category id
+
+function unindexCategoryName(categoryId) {
+  for (const [name, id] of categoriesByName) if (id === categoryId) categoriesByName.delete(name);
+}
+function indexChannel(ch) {
+  if (ch.guildId !== DISCORD_GUILD_ID || ch.type !== ChannelType.GuildCategory) return;
+  unindexCategoryName(ch.id); // renamed
+  categoriesByName.set(norm(ch.name), ch.id);
+}
+function forgetChannel(ch) {
+  unindexCategoryName(ch.id);
+  for (const [seller, id] of sellerCategories) {
+    if (id === ch.id && !pinnedCategories.has(seller)) sellerCategories.delete(seller);
   }
-  const r = await fetch(`${API}/guilds/${DISCORD_GUILD_ID}/channels`, {
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}` }
-  });
-  if (!r.ok) throw new Error(`list channels → ${r.status} ${await r.text()}`);
-  return r.json();
-}
-async function createChannel({ name, type, parent_id }) {
-  const r = await fetch(`${API}/guilds/${DISCORD_GUILD_ID}/channels`, {
-    method: "POST",
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}`, "Content-Type": "application/json" },
-    body: JSON.stringify({ name, type, parent_id })
-  });
-  if (!r.ok) throw new Error(`create channel → ${r.status} ${await r.text()}`);
-  return r.json();
 }
-async function getChannelIdForSeller(sellerNameOrId, kind) {
+
+let guildReady;
+function getGuild() {
+  guildReady ||= (async () => {
+    const c = await initDiscord();
+    if (!c.isReady()) await once(c, Events.ClientReady);
+    const guild = await c.guilds.fetch(DISCORD_GUILD_ID);
+    guild.channels.cache.forEach(indexChannel);
+    c.on(Events.ChannelCreate, indexChannel);
+    c.on(Events.ChannelUpdate, (_before, after) => indexChannel(after));
+    c.on(Events.ChannelDelete, forgetChannel);
+    return guild;
+  })().catch((e) => { guildReady = null; throw e; });
+  return guildReady;
+}
+
+// Seller ID mapping first, then a category named exactly after the seller name or ID. No partial
+// matches: "SE-10" must never be taken for seller "SE-1", that would post into another seller's channel.
+function findSellerCategory(guild, { sellerId, sellerName }) {
+  const key = norm(sellerId);
+  const mapped = key && sellerCategories.get(key);
+  if (mapped && guild.channels.cache.has(mapped)) return mapped;
+  if (key && pinnedCategories.has(key)) throw new Error(`Pinned category ${pinnedCategories.get(key)} for seller ${sellerId} not found`);
+
+  const categoryId = categoriesByName.get(norm(sellerName)) || (key && categoriesByName.get(key));
+  if (categoryId && key) sellerCategories.set(key, categoryId);
+  return categoryId || null;
+}
+
+const findChannel = (guild, categoryId, name) =>
+  guild.channels.cache.find(c => c.type === ChannelType.GuildText && c.parentId === categoryId && c.name === name);
+
+async function getChannelIdForSeller({ sellerId, sellerName }, kind) {
   const target =
     kind === "external" ? EXTERNAL_CHANNEL_NAME :
     kind === "confirm"  ? CONFIRM_CHANNEL_NAME  :
     kind === "deal"     ? DEAL_CHANNEL_NAME     :
                           "offer-requests";
 
-  if (!DISCORD_GUILD_ID) return { channelId: DISCORD_CHANNEL_ID, created: false };
+  if (!DISCORD_GUILD_ID) {
+    if (!DISCORD_CHANNEL_ID) throw new Error("Set DISCORD_CHANNEL_ID or DISCORD_GUILD_ID");
+    return { channelId: DISCORD_CHANNEL_ID, created: false };
+  }
 
-  const chans = await listGuildChannels();
-  const wanted = String(sellerNameOrId || "").trim().toLowerCase();
+  const label = sellerName || sellerId;
+  const guild = await getGuild();
 
-  const cat = chans.find(c => c.type === 4 && String(c.name).trim().toLowerCase() === wanted);
-  let categoryId = cat?.id;
-  if (!categoryId) {
-    if (String(ALLOW_CHANNEL_CREATE).toLowerCase() === "true") {
-      categoryId = (await createChannel({ name: sellerNameOrId, type: 4 })).id;
-    } else throw new Error(`Missing category "${sellerNameOrId}"`);
-  }
-  const ch = chans.find(c => c.type === 0 && c.parent_id === categoryId && c.name === target);
+  const known = findSellerCategory(guild, { sellerId, sellerName });
+  const ch = known && findChannel(guild, known, target);
   if (ch) return { channelId: ch.id, created: false };
-  if (String(ALLOW_CHANNEL_CREATE).toLowerCase() === "true") {
-    const created = await createChannel({ name: target, type: 0, parent_id: categoryId });
+
+  return withLock(`discord-channels:${norm(sellerId || sellerName)}`, async () => {
+    // Re-check: a send for the same seller may have created them while we waited
+    let categoryId = findSellerCategory(guild, { sellerId, sellerName });
+    if (!categoryId) {
+      if (!allowCreate()) throw new Error(`Missing category "${label}"`);
+      const category = await guild.channels.create({ name: label, type: ChannelType.GuildCategory });
+      indexChannel(category);
+      categoryId = category.id;
+      if (sellerId) sellerCategories.set(norm(sellerId), categoryId);
+    }
+
+    const existing = findChannel(guild, categoryId, target);
+    if (existing) return { channelId: existing.id, created: false };
+    if (!allowCreate()) throw new Error(`Missing channel "${target}" under "${label}"`);
+    const created = await guild.channels.create({ name: target, type: ChannelType.GuildText, parent: categoryId });
     return { channelId: created.id, created: true };
-  }
-  throw new Error(`Missing channel "${target}" under "${sellerNameOrId}"`);
+  });
 }
 
 /* -------------------- Senders -------------------- */
-export async function sendExternalOfferMessageGateway({
-  orderRecId, orderHumanId, sellerId, sellerName, inventoryRecordId,
+
+// Discord renders <t:unix:R> as a live "in 2 hours" countdown in the reader's locale
+function expiryLines(expiresAt, locale) {
+  if (!expiresAt) return [];
+  const unix = Math.floor(new Date(expiresAt).getTime() / 1000);
+  return ["", `⏳ **${t(locale, "label.expires")}** <t:${unix}:R> (<t:${unix}:f>)`];
+}
+
+// Product / SKU / size / order block shared by offer and confirmation embeds
+const pairLines = ({ productName, sku, size, orderHumanId, orderRecId }, locale) => [
+  `**${t(locale, "label.productName")}**`,
+  productName || "—",
+  "",
+  `**${t(locale, "label.sku")}**\n${sku ?? "—"}`,
+  `**${t(locale, "label.size")}**\n${size ?? "—"}`,
+  "",
+  `**${t(locale, "label.order")}**`,
+  orderHumanId || orderRecId || "—",
+];
+
+/**
+ * Buttons of an open seller message: "offer" (Accept / Counter / Deny) or "confirm" (Confirm / Deny).
+ * `acceptAmount` is already formatted for `locale`.
+ */
+function sellerButtons(kind, offerToken, acceptAmount, locale) {
+  const buttons = kind === "offer"
+    ? [
+        { type: 2, style: 3, label: t(locale, "button.accept", { amount: acceptAmount }), custom_id: `confirm_ext|${offerToken}` },
+        { type: 2, style: 1, label: t(locale, "button.counter"), custom_id: `counter_ext|${offerToken}` },
+        { type: 2, style: 4, label: t(locale, "button.deny"),    custom_id: `deny_ext|${offerToken}` }
+      ]
+    : [
+        { type: 2, style: 3, label: t(locale, "button.confirm"), custom_id: `confirm_ext|${offerToken}` },
+        { type: 2, style: 4, label: t(locale, "button.deny"),    custom_id: `deny_ext|${offerToken}` }
+      ];
+  return [{ type: 1, components: buttons }];
+}
+
+/** Message payload (content/embeds/components) for an offer, in the seller's `locale`; nothing is sent */
+export function buildExternalOfferMessage({
+  offerToken, // opaque id of the stored offer (see logOfferMessage)
+  orderRecId, orderHumanId, sellerId,
   productName, sku, size,
   yourLabel, yourValue, ourLabel, ourValue,
-  offerPrice, // number used for Accept button & storage
-  vatLabel,   // "Margin" | "VAT0" | "VAT21"
+  acceptAmount, // our amount as shown on the Accept button
+  expiresAt,  // optional Date: shown as a live countdown
+  locale,     // lib/i18n.js locale (default English)
 }) {
-  const { channelId } = await getChannelIdForSeller(sellerName || sellerId, "external");
-  if (!channelId) throw new Error(`[Discord] No channel for seller="${sellerName || sellerId}" kind=external`);
-
-  const components = [{
-    type: 1,
-    components: [
-      { type: 2, style: 3, label: `Accept Offer ${ourValue.split(" ")[0]}`, custom_id: `confirm_ext|${orderRecId}|${sellerId}|${inventoryRecordId}|${offerPrice ?? 0}|${(vatLabel || "").trim()}` },
-      { type: 2, style: 4, label: "Deny",                                   custom_id: `deny_ext|${orderRecId}|${sellerId}|${inventoryRecordId}|${offerPrice ?? 0}|${(vatLabel || "").trim()}` }
-    ]
-  }];
+  const components = sellerButtons("offer", offerToken, acceptAmount, locale);
 
   const embed = {
-    title: "💸 We Have A Potential Buyer Offer",
+    title: t(locale, "offer.title"),
     description: [
-      "If you can do this price, click **Accept Offer**.",
-      "FCFS — we may contact multiple sellers.",
-      "After accepting, we’ll notify you as soon as the deal is closed.",
-      "",
-      "**Product Name**",
-      productName || "—",
+      t(locale, "offer.instructions"),
       "",
-      `**SKU**\n${sku ?? "—"}`,
-      `**Size**\n${size ?? "—"}`,
-      "",
-      "**Order**",
-      orderHumanId || orderRecId || "—",
+      ...pairLines({ productName, sku, size, orderHumanId, orderRecId }, locale),
+      ...expiryLines(expiresAt, locale),
     ].join("\n"),
     color: 0xf1c40f,
     fields: [
-      { name: yourLabel || "Your Price", value: yourValue || "—", inline: true },
-      { name: ourLabel  || "Our Offer",  value: ourValue  || "—", inline: true },
+      { name: yourLabel || t(locale, "offer.yourPrice"), value: yourValue || "—", inline: true },
+      { name: ourLabel  || t(locale, "offer.ourOffer"),  value: ourValue  || "—", inline: true },
     ],
-    footer: { text: `SellerID: ${sellerId}` },
+    footer: { text: `${t(locale, "label.sellerId")}: ${sellerId}` },
     timestamp: new Date().toISOString()
   };
 
-  const res = await fetch(`${API}/channels/${channelId}/messages`, {
-    method: "POST",
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}`, "Content-Type": "application/json" },
-    body: JSON.stringify({ content: `📑 Offer sent for ${sku} / ${size}`, embeds: [embed], components })
-  });
-  if (!res.ok) throw new Error(`send external offer → ${res.status} ${await res.text()}`);
-  const msg = await res.json();
+  return { content: t(locale, "offer.content", { sku, size }), embeds: [embed], components };
+}
+
+export async function sendExternalOfferMessageGateway(args) {
+  const { sellerId, sellerName } = args;
+  const { channelId } = await getChannelIdForSeller({ sellerId, sellerName }, "external");
+  if (!channelId) throw new Error(`[Discord] No channel for seller="${sellerName || sellerId}" kind=external`);
+
+  const msg = await discordRequest(
+    "send external offer", "post", Routes.channelMessages(channelId), buildExternalOfferMessage(args)
+  );
   return { channelId, messageId: msg.id };
 }
 
-export async function sendExternalConfirmationMessageGateway({
-  orderRecId, orderHumanId, sellerId, sellerName, inventoryRecordId,
+/** Message payload (content/embeds/components) for a confirmation request, in the seller's `locale`; nothing is sent */
+export function buildExternalConfirmationMessage({
+  offerToken,    // opaque id of the stored offer (see logOfferMessage)
+  orderRecId, orderHumanId, sellerId,
   productName, sku, size,
   sellingLine,   // e.g., "Selling Price €120.00 (VAT 21%)"
-  confirmPrice,  // number to store on Confirm
-  vatLabel,      // "Margin" | "VAT0" | "VAT21"
+  expiresAt,     // optional Date: shown as a live countdown
+  locale,        // lib/i18n.js locale (default English)
 }) {
-  const { channelId } = await getChannelIdForSeller(sellerName || sellerId, "external"); // same channel as offers
-  if (!channelId) throw new Error(`[Discord] No channel for seller="${sellerName || sellerId}" kind=external`);
-
-  const components = [{
-    type: 1,
-    components: [
-      { type: 2, style: 3, label: "Confirm", custom_id: `confirm_ext|${orderRecId}|${sellerId}|${inventoryRecordId}|${confirmPrice ?? 0}|${(vatLabel || "").trim()}` },
-      { type: 2, style: 4, label: "Deny",    custom_id: `deny_ext|${orderRecId}|${sellerId}|${inventoryRecordId}|${confirmPrice ?? 0}|${(vatLabel || "").trim()}` }
-    ]
-  }];
+  const components = sellerButtons("confirm", offerToken, null, locale);
 
   const embed = {
-    title: "🚀 We May Have A Buyer For Your Pair",
+    title: t(locale, "confirm.title"),
     description: [
-      "If you still have this pair, click **Confirm**.",
-      "FCFS — we may contact multiple sellers.",
-      "After confirming, we’ll notify you as soon as the deal is closed.",
-      "",
-      "**Product Name**",
-      productName || "—",
+      t(locale, "confirm.instructions"),
       "",
-      `**SKU**\n${sku ?? "—"}`,
-      `**Size**\n${size ?? "—"}`,
-      "",
-      "**Order**",
-      orderHumanId || orderRecId || "—",
+      ...pairLines({ productName, sku, size, orderHumanId, orderRecId }, locale),
       "",
       sellingLine || "",   // keeps your “Selling Price €… (VAT …)” line
+      ...expiryLines(expiresAt, locale),
     ].join("\n"),
     color: 0x2ecc71,
-    footer: { text: `SellerID: ${sellerId}` },
+    footer: { text: `${t(locale, "label.sellerId")}: ${sellerId}` },
     timestamp: new Date().toISOString()
   };
 
-  const res = await fetch(`${API}/channels/${channelId}/messages`, {
-    method: "POST",
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}`, "Content-Type": "application/json" },
-    body: JSON.stringify({ content: `📋 Match found for ${sku} / ${size}`, embeds: [embed], components })
-  });
-  if (!res.ok) throw new Error(`send external confirmation → ${res.status} ${await res.text()}`);
-  const msg = await res.json();
+  return { content: t(locale, "confirm.content", { sku, size }), embeds: [embed], components };
+}
+
+export async function sendExternalConfirmationMessageGateway(args) {
+  const { sellerId, sellerName } = args;
+  const { channelId } = await getChannelIdForSeller({ sellerId, sellerName }, "external"); // same channel as offers
+  if (!channelId) throw new Error(`[Discord] No channel for seller="${sellerName || sellerId}" kind=external`);
+
+  const msg = await discordRequest(
+    "send external confirmation", "post", Routes.channelMessages(channelId), buildExternalConfirmationMessage(args)
+  );
   return { channelId, messageId: msg.id };
 }
 
-export async function disableMessageButtonsGateway(channelId, messageId, note) {
-  const r = await fetch(`${API}/channels/${channelId}/messages/${messageId}`, {
-    method: "PATCH",
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}`, "Content-Type": "application/json" },
-    body: JSON.stringify({
-      components: [{
-        type: 1,
-        components: [
-          { type: 2, style: 2, label: "Confirmed", custom_id: "confirmed", disabled: true },
-          { type: 2, style: 2, label: "Denied",    custom_id: "denied",    disabled: true }
-        ]
-      }],
-      content: note ? `${note}` : undefined
-    })
+/** Replace a message's buttons with disabled ones; `note` is already in `locale` (which only labels the buttons) */
+export async function disableMessageButtonsGateway(channelId, messageId, note, locale) {
+  return discordRequest("edit message", "patch", Routes.channelMessage(channelId, messageId), {
+    components: [{
+      type: 1,
+      components: [
+        { type: 2, style: 2, label: t(locale, "button.confirmed"), custom_id: "confirmed", disabled: true },
+        { type: 2, style: 2, label: t(locale, "button.denied"),    custom_id: "denied",    disabled: true }
+      ]
+    }],
+    content: note ? `${note}` : undefined
+  });
+}
+
+/** Give a closed seller message its buttons back (same offer token), e.g. after staff undid a confirmation */
+export async function reopenMessageButtons(channelId, messageId, { kind, offerToken, acceptAmount, note, locale }) {
+  return discordRequest("reopen message", "patch", Routes.channelMessage(channelId, messageId), {
+    components: sellerButtons(kind, offerToken, acceptAmount, locale),
+    content: note,
+  });
+}
+
+/**
+ * Post a copy of a seller message (same embed) in the same channel, with buttons for a new
+ * offer token. The text is rebuilt from the catalog: the original's may be a status note by now.
+ * Returns { channelId, messageId } of the copy.
+ */
+export async function repostSellerMessage(channelId, messageId, { kind, offerToken, acceptAmount, sku, size, locale }) {
+  const original = await discordRequest("read message", "get", Routes.channelMessage(channelId, messageId));
+  const copy = await discordRequest("repost message", "post", Routes.channelMessages(channelId), {
+    content: `🔁 ${t(locale, `${kind}.content`, { sku: sku ?? "—", size: size ?? "—" })}`,
+    embeds: original.embeds,
+    components: sellerButtons(kind, offerToken, acceptAmount, locale),
+  });
+  return { channelId, messageId: copy.id };
+}
+
+/** Edit only the text of a message; buttons stay as they are */
+export async function updateMessageNote(channelId, messageId, note) {
+  return discordRequest("edit message note", "patch", Routes.channelMessage(channelId, messageId), { content: note });
+}
+
+/* -------------------- Staff channels -------------------- */
+export async function sendStaffAlert(content) {
+  if (!DISCORD_STAFF_ALERTS_CHANNEL_ID) {
+    console.warn("[Discord] No staff alerts channel configured:", content);
+    return null;
+  }
+  return discordRequest("staff alert", "post", Routes.channelMessages(DISCORD_STAFF_ALERTS_CHANNEL_ID), {
+    content: String(content).slice(0, 1900),
+    allowed_mentions: { parse: [] },
   });
-  if (!r.ok) throw new Error(`edit message → ${r.status} ${await r.text()}`);
-  return r.json();
+}
+
+/* -------------------- Counter offers (staff review) -------------------- */
+export async function sendCounterOfferStaffMessage({
+  offerToken,          // offer holding the counter
+  orderRecId, sellerId,
+  offerPrice,          // our original offer
+  counterPrice,        // seller's counter
+  vatLabel,            // "Margin" | "VAT0" | "VAT21"
+}) {
+  if (!DISCORD_STAFF_CHANNEL_ID) throw new Error("[Discord] DISCORD_STAFF_CHANNEL_ID is not set");
+
+  const fmt = (v) => (typeof v === "number" && isFinite(v) ? `€${v.toFixed(2)}` : "—");
+  const components = [{
+    type: 1,
+    components: [
+      { type: 2, style: 3, label: `Accept Counter ${fmt(counterPrice)}`, custom_id: `counter_accept|${offerToken}` },
+      { type: 2, style: 4, label: "Reject Counter",                        custom_id: `counter_reject|${offerToken}` }
+    ]
+  }];
+
+  const embed = {
+    title: "↩️ Seller Counter Offer",
+    description: [
+      `**Order**\n${orderRecId || "—"}`,
+      `**Seller**\n${sellerId || "—"}`,
+    ].join("\n"),
+    color: 0x3498db,
+    fields: [
+      { name: "Our Offer", value: `${fmt(offerPrice)} (${vatLabel || "—"})`,   inline: true },
+      { name: "Counter",   value: `${fmt(counterPrice)} (${vatLabel || "—"})`, inline: true },
+    ],
+    footer: { text: `Offer: ${offerToken}` },
+    timestamp: new Date().toISOString()
+  };
+
+  const msg = await discordRequest("send counter offer", "post", Routes.channelMessages(DISCORD_STAFF_CHANNEL_ID), {
+    content: `↩️ Counter from ${sellerId}: ${fmt(counterPrice)}`,
+    embeds: [embed],
+    components,
+  });
+  return { channelId: DISCORD_STAFF_CHANNEL_ID, messageId: msg.id };
 }
 
 export async function sendDealUpdateMessage({
@@ -221,7 +587,7 @@ export async function sendDealUpdateMessage({
   content,             // plain text (required)
   embed                // optional: { title, description, color, fields:[{name,value,inline}] }
 }) {
-  const { channelId } = await getChannelIdForSeller(sellerName || sellerId, "deal");
+  const { channelId } = await getChannelIdForSeller({ sellerId, sellerName }, "deal");
   if (!channelId) throw new Error(`[Discord] No #deal-updates channel for "${sellerName || sellerId}"`);
 
   const body = {
@@ -240,12 +606,6 @@ export async function sendDealUpdateMessage({
     }] : undefined
   };
 
-  const r = await fetch(`${API}/channels/${channelId}/messages`, {
-    method: "POST",
-    headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}`, "Content-Type": "application/json" },
-    body: JSON.stringify(body)
-  });
-  if (!r.ok) throw new Error(`deal update send → ${r.status} ${await r.text()}`);
-  return r.json();
+  return discordRequest("deal update send", "post", Routes.channelMessages(channelId), body);
 }
 
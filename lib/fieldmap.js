@@ -0,0 +1,79 @@
+// lib/fieldmap.js
+// Table and field names of the Airtable base, from one mapping file (FIELD_MAP_FILE, default
+// config/fields.json). `base` holds every name; a profile (FIELD_MAP_PROFILE, default
+// "production") overrides only what differs in that base, e.g. a staging copy with renamed fields.
+// The merged map is validated on import, so a broken mapping stops the bot at startup.
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const FIELD_MAP_FILE    = process.env.FIELD_MAP_FILE || fileURLToPath(new URL("../config/fields.json", import.meta.url));
+const FIELD_MAP_PROFILE = process.env.FIELD_MAP_PROFILE || "production";
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+function loadMapFile() {
+  try {
+    return JSON.parse(readFileSync(FIELD_MAP_FILE, "utf8"));
+  } catch (e) {
+    throw new Error(`Field map ${FIELD_MAP_FILE}: ${e.message}`);
+  }
+}
+
+// Profile values replace base values key by key; a profile can't introduce new keys,
+// so a typo in an override is an error instead of a silently unused name.
+function mergeProfile(base, override, path, problems) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    const at = path ? `${path}.${key}` : key;
+    if (!(key in base))                 problems.push(`${at}: unknown key`);
+    else if (isObject(base[key]))       out[key] = mergeProfile(base[key], value, at, problems);
+    else                                out[key] = value;
+  }
+  return out;
+}
+
+function checkNames(node, path, problems) {
+  for (const [key, value] of Object.entries(node)) {
+    const at = `${path}.${key}`;
+    if (isObject(value)) checkNames(value, at, problems);
+    else if (typeof value !== "string" || !value.trim()) problems.push(`${at}: expected a non-empty name`);
+  }
+}
+
+const deepFreeze = (o) => {
+  for (const v of Object.values(o)) if (isObject(v)) deepFreeze(v);
+  return Object.freeze(o);
+};
+
+const file = loadMapFile();
+const problems = [];
+
+if (!isObject(file.base?.tables) || !isObject(file.base?.fields)) {
+  problems.push("base: expected { tables, fields }");
+}
+const profile = file.profiles?.[FIELD_MAP_PROFILE];
+if (!isObject(profile)) {
+  problems.push(`profile "${FIELD_MAP_PROFILE}" not found (available: ${Object.keys(file.profiles || {}).join(", ") || "none"})`);
+}
+
+const merged = problems.length ? null : mergeProfile(file.base, profile, "", problems);
+if (merged) {
+  checkNames(merged.tables, "tables", problems);
+  checkNames(merged.fields, "fields", problems);
+}
+
+if (problems.length) {
+  throw new Error(`Invalid field map ${FIELD_MAP_FILE} (profile ${FIELD_MAP_PROFILE}):\n  - ${problems.join("\n  - ")}`);
+}
+
+// Names used to come from FIELD_* / AIRTABLE_TABLE_* env vars; say so instead of ignoring them silently
+const legacyEnv = Object.keys(process.env).filter(k => /^(FIELD_(?!MAP_)|AIRTABLE_TABLE_)/.test(k));
+if (legacyEnv.length) {
+  console.warn(`[fieldmap] ignoring ${legacyEnv.join(", ")}: table/field names now live in ${FIELD_MAP_FILE}`);
+}
+
+console.log(`[fieldmap] profile: ${FIELD_MAP_PROFILE}`);
+
+export const fieldMapProfile = FIELD_MAP_PROFILE;
+export const TABLES = deepFreeze(merged.tables);
+export const FIELDS = deepFreeze(merged.fields);
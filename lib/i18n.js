@@ -0,0 +1,334 @@
+// lib/i18n.js
+// Seller-facing message catalog: offer / confirmation embeds, buttons, modals, the notes
+// written on seller messages and the ephemeral replies to seller clicks and commands. A seller's locale comes from their language preference
+// (`sellerLanguage` in the offer payload) or else their country; English is the fallback,
+// also for keys a locale doesn't translate. Staff-facing texts stay English.
+
+export const DEFAULT_LOCALE = "en";
+
+const CATALOG = {
+  en: {
+    "offer.content":        "📑 Offer sent for {sku} / {size}",
+    "offer.title":          "💸 We Have A Potential Buyer Offer",
+    "offer.instructions":   "If you can do this price, click **Accept Offer**.\n" +
+                            "Close but not quite? Click **Counter** to propose your price.\n" +
+                            "FCFS — we may contact multiple sellers.\n" +
+                            "After accepting, we’ll notify you as soon as the deal is closed.",
+    "offer.yourPrice":      "Your Price",
+    "offer.ourOffer":       "Our Offer",
+    "confirm.content":      "📋 Match found for {sku} / {size}",
+    "confirm.title":        "🚀 We May Have A Buyer For Your Pair",
+    "confirm.instructions": "If you still have this pair, click **Confirm**.\n" +
+                            "FCFS — we may contact multiple sellers.\n" +
+                            "After confirming, we’ll notify you as soon as the deal is closed.",
+    "confirm.sellingPrice": "Selling Price {amount}",
+
+    "label.productName": "Product Name",
+    "label.sku":         "SKU",
+    "label.size":        "Size",
+    "label.order":       "Order",
+    "label.expires":     "Expires",
+    "label.sellerId":    "SellerID",
+
+    "button.accept":    "Accept Offer {amount}",
+    "button.counter":   "Counter",
+    "button.deny":      "Deny",
+    "button.confirm":   "Confirm",
+    "button.confirmed": "Confirmed",
+    "button.denied":    "Denied",
+
+    "vat.margin": "(Margin)",
+    "vat.rate":   "(VAT {pct})",
+
+    "counter.title": "Counter Offer",
+    "counter.label": "Your price (€, same VAT basis as the offer)",
+
+    "deny.prompt":         "Why are you denying this offer?",
+    "deny.placeholder":    "Choose a reason",
+    "deny.Sold elsewhere": "Sold elsewhere",
+    "deny.Price too low":  "Price too low",
+    "deny.Wrong size":     "Wrong size",
+    "deny.Damaged":        "Damaged",
+    "deny.Other":          "Other",
+    "deny.modalTitle":     "Deny Offer",
+    "deny.noteLabel":      "Why can't you take this offer?",
+
+    "note.expired":            "⌛ Offer expired. Buttons disabled.",
+    "note.unregistered":       "⚠️ Offer could not be registered. Staff will follow up.",
+    "note.closed":             "✅ {reason}. Offers disabled.",
+    "note.closedNoReason":     "✅ Closed. Offers disabled.",
+    "note.taken":              "❌ Already taken by another seller. This order is closed.",
+    "note.confirmed":          "✅ Confirmed by {seller}.",
+    "note.confirmedUnit":      "✅ Confirmed by {seller} ({filled}/{quantity}).",
+    "note.confirmedElsewhere": "✅ Confirmed by another seller. Offers closed.",
+    "note.filled":             "✅ Order filled by other sellers. Offers closed.",
+    "note.counterSent":        "↩️ Counter {amount} sent by {seller}. Waiting for review.",
+    "note.counterRejected":    "❌ Your counter of {amount} was not accepted. The original offer still stands.",
+    "note.denied":             "❌ {seller} denied: {reason}.",
+    "note.deniedNoReason":     "❌ {seller} denied / not available.",
+    "note.resent":             "🔁 Resent, see the newer message below.",
+    "note.withdrawn":          "↩️ Your confirmation was withdrawn by staff.",
+    "note.reopened":           "🔄 This offer is open again.",
+
+    "reply.confirmed":      "✅ Confirmed, we'll notify you as soon as the deal is closed.",
+    "reply.confirmedUnits": "✅ Confirmed, we'll notify you as soon as the deal is closed. ({filled}/{quantity} pairs confirmed)",
+    "reply.taken":          "❌ Already taken by another seller.",
+    "reply.duplicate":      "ℹ️ You already confirmed this offer.",
+    "reply.expired":        "⌛ Offer expired.",
+    "reply.denied":         "👍 Noted, you declined this offer.",
+    "reply.unknown":        "⚠️ This offer is no longer available.",
+    "reply.unusable":       "⚠️ This offer can't be confirmed anymore. Please contact staff.",
+    "reply.unavailable":    "⚠️ This pair has no free stock left in your inventory (already confirmed or sold). Staff has been notified.",
+    "reply.vatMismatch":    "⚠️ The other pairs of this order were confirmed as {vatType}, so this pair can't be added. Staff has been notified.",
+    "reply.notYours":       "⛔ Only {seller}'s linked Discord account can respond to this offer.",
+    "reply.notBound":       "⛔ Your Discord account isn't linked to a seller. Please contact staff.",
+    "reply.counterInvalid": "⚠️ Counter not sent: please enter a valid price (e.g. 125 or 125.50).",
+    "reply.counterPending": "⏳ Your counter of {amount} is still being reviewed. Please wait for staff's answer.",
+    "reply.counterSent":    "↩️ Counter of {amount} sent. We'll let you know once staff has reviewed it.",
+    "reply.failed":         "⚠️ Something went wrong, staff has been notified.",
+
+    "list.offersTitle":    "📬 **Your open offers ({count})**",
+    "list.offersEmpty":    "📭 You have no open offers right now.",
+    "list.dealsTitle":     "🤝 **Your deals ({count})**",
+    "list.dealsEmpty":     "📭 You have no confirmed deals yet.",
+    "list.offer":          "Offer",
+    "list.confirmRequest": "Confirmation request",
+    "list.expires":        "expires",
+    "list.open":           "open",
+    "list.message":        "message",
+    "list.unknownStatus":  "Unknown",
+    "list.more":           "…and {count} more",
+  },
+
+  nl: {
+    "offer.content":        "📑 Bod verstuurd voor {sku} / {size}",
+    "offer.title":          "💸 We hebben een bod van een mogelijke koper",
+    "offer.instructions":   "Kun je deze prijs doen? Klik op **Bod accepteren**.\n" +
+                            "Net niet genoeg? Klik op **Tegenbod** om je eigen prijs voor te stellen.\n" +
+                            "Wie het eerst komt, wie het eerst maalt: we kunnen meerdere verkopers benaderen.\n" +
+                            "Na het accepteren laten we je weten zodra de deal rond is.",
+    "offer.yourPrice":      "Jouw prijs",
+    "offer.ourOffer":       "Ons bod",
+    "confirm.content":      "📋 Match gevonden voor {sku} / {size}",
+    "confirm.title":        "🚀 We hebben mogelijk een koper voor je paar",
+    "confirm.instructions": "Heb je dit paar nog? Klik op **Bevestigen**.\n" +
+                            "Wie het eerst komt, wie het eerst maalt: we kunnen meerdere verkopers benaderen.\n" +
+                            "Na het bevestigen laten we je weten zodra de deal rond is.",
+    "confirm.sellingPrice": "Verkoopprijs {amount}",
+
+    "label.productName": "Productnaam",
+    "label.size":        "Maat",
+    "label.expires":     "Verloopt",
+    "label.sellerId":    "Verkoper-ID",
+
+    "button.accept":    "Bod accepteren {amount}",
+    "button.counter":   "Tegenbod",
+    "button.deny":      "Weigeren",
+    "button.confirm":   "Bevestigen",
+    "button.confirmed": "Bevestigd",
+    "button.denied":    "Geweigerd",
+
+    "vat.margin": "(Marge)",
+    "vat.rate":   "(btw {pct})",
+
+    "counter.title": "Tegenbod",
+    "counter.label": "Jouw prijs (€, zelfde btw-basis als het bod)",
+
+    "deny.prompt":         "Waarom weiger je dit bod?",
+    "deny.placeholder":    "Kies een reden",
+    "deny.Sold elsewhere": "Elders verkocht",
+    "deny.Price too low":  "Prijs te laag",
+    "deny.Wrong size":     "Verkeerde maat",
+    "deny.Damaged":        "Beschadigd",
+    "deny.Other":          "Anders",
+    "deny.modalTitle":     "Bod weigeren",
+    "deny.noteLabel":      "Waarom kun je dit bod niet aannemen?",
+
+    "note.expired":            "⌛ Bod verlopen. Knoppen uitgeschakeld.",
+    "note.unregistered":       "⚠️ Bod kon niet worden geregistreerd. We nemen contact met je op.",
+    "note.closed":             "✅ {reason}. Biedingen gesloten.",
+    "note.closedNoReason":     "✅ Gesloten. Biedingen gesloten.",
+    "note.taken":              "❌ Al genomen door een andere verkoper. Deze order is gesloten.",
+    "note.confirmed":          "✅ Bevestigd door {seller}.",
+    "note.confirmedUnit":      "✅ Bevestigd door {seller} ({filled}/{quantity}).",
+    "note.confirmedElsewhere": "✅ Bevestigd door een andere verkoper. Biedingen gesloten.",
+    "note.filled":             "✅ Order gevuld door andere verkopers. Biedingen gesloten.",
+    "note.counterSent":        "↩️ Tegenbod {amount} verstuurd door {seller}. Wacht op beoordeling.",
+    "note.counterRejected":    "❌ Je tegenbod van {amount} is niet geaccepteerd. Het oorspronkelijke bod blijft staan.",
+    "note.denied":             "❌ {seller} heeft geweigerd: {reason}.",
+    "note.deniedNoReason":     "❌ {seller} heeft geweigerd / niet beschikbaar.",
+    "note.resent":             "🔁 Opnieuw verstuurd, zie het nieuwere bericht hieronder.",
+    "note.withdrawn":          "↩️ Je bevestiging is door ons team ingetrokken.",
+    "note.reopened":           "🔄 Dit bod staat weer open.",
+
+    "reply.confirmed":      "✅ Bevestigd, we laten je weten zodra de deal rond is.",
+    "reply.confirmedUnits": "✅ Bevestigd, we laten je weten zodra de deal rond is. ({filled}/{quantity} paar bevestigd)",
+    "reply.taken":          "❌ Al genomen door een andere verkoper.",
+    "reply.duplicate":      "ℹ️ Je hebt dit bod al bevestigd.",
+    "reply.expired":        "⌛ Bod verlopen.",
+    "reply.denied":         "👍 Genoteerd, je hebt dit bod geweigerd.",
+    "reply.unknown":        "⚠️ Dit bod is niet meer beschikbaar.",
+    "reply.unusable":       "⚠️ Dit bod kan niet meer worden bevestigd. Neem contact op met ons team.",
+    "reply.unavailable":    "⚠️ Er is geen vrije voorraad meer van dit paar in je inventaris (al bevestigd of verkocht). Ons team is op de hoogte gebracht.",
+    "reply.vatMismatch":    "⚠️ De andere paren van deze order zijn bevestigd als {vatType}, dus dit paar kan niet worden toegevoegd. Ons team is op de hoogte gebracht.",
+    "reply.notYours":       "⛔ Alleen het gekoppelde Discord-account van {seller} kan op dit bod reageren.",
+    "reply.notBound":       "⛔ Je Discord-account is niet aan een verkoper gekoppeld. Neem contact op met ons team.",
+    "reply.counterInvalid": "⚠️ Tegenbod niet verstuurd: vul een geldige prijs in (bijv. 125 of 125,50).",
+    "reply.counterPending": "⏳ Je tegenbod van {amount} wordt nog beoordeeld. Wacht op het antwoord van ons team.",
+    "reply.counterSent":    "↩️ Tegenbod van {amount} verstuurd. We laten je weten zodra het is beoordeeld.",
+    "reply.failed":         "⚠️ Er ging iets mis, ons team is op de hoogte gebracht.",
+
+    "list.offersTitle":    "📬 **Je openstaande biedingen ({count})**",
+    "list.offersEmpty":    "📭 Je hebt op dit moment geen openstaande biedingen.",
+    "list.dealsTitle":     "🤝 **Je deals ({count})**",
+    "list.dealsEmpty":     "📭 Je hebt nog geen bevestigde deals.",
+    "list.offer":          "Bod",
+    "list.confirmRequest": "Bevestigingsverzoek",
+    "list.expires":        "verloopt",
+    "list.open":           "openen",
+    "list.message":        "bericht",
+    "list.unknownStatus":  "Onbekend",
+    "list.more":           "…en nog {count}",
+  },
+
+  de: {
+    "offer.content":        "📑 Angebot gesendet für {sku} / {size}",
+    "offer.title":          "💸 Wir haben ein Angebot eines möglichen Käufers",
+    "offer.instructions":   "Passt dir dieser Preis? Klicke auf **Angebot annehmen**.\n" +
+                            "Knapp daneben? Klicke auf **Gegenangebot**, um deinen Preis vorzuschlagen.\n" +
+                            "Wer zuerst kommt, mahlt zuerst: wir können mehrere Verkäufer kontaktieren.\n" +
+                            "Nach dem Annehmen melden wir uns, sobald der Deal abgeschlossen ist.",
+    "offer.yourPrice":      "Dein Preis",
+    "offer.ourOffer":       "Unser Angebot",
+    "confirm.content":      "📋 Treffer für {sku} / {size}",
+    "confirm.title":        "🚀 Wir haben vielleicht einen Käufer für dein Paar",
+    "confirm.instructions": "Hast du dieses Paar noch? Klicke auf **Bestätigen**.\n" +
+                            "Wer zuerst kommt, mahlt zuerst: wir können mehrere Verkäufer kontaktieren.\n" +
+                            "Nach dem Bestätigen melden wir uns, sobald der Deal abgeschlossen ist.",
+    "confirm.sellingPrice": "Verkaufspreis {amount}",
+
+    "label.productName": "Produktname",
+    "label.size":        "Größe",
+    "label.order":       "Bestellung",
+    "label.expires":     "Läuft ab",
+    "label.sellerId":    "Verkäufer-ID",
+
+    "button.accept":    "Angebot annehmen {amount}",
+    "button.counter":   "Gegenangebot",
+    "button.deny":      "Ablehnen",
+    "button.confirm":   "Bestätigen",
+    "button.confirmed": "Bestätigt",
+    "button.denied":    "Abgelehnt",
+
+    "vat.margin": "(Differenzbesteuert)",
+    "vat.rate":   "(MwSt. {pct})",
+
+    "counter.title": "Gegenangebot",
+    "counter.label": "Dein Preis (€, gleiche MwSt.-Basis)",
+
+    "deny.prompt":         "Warum lehnst du dieses Angebot ab?",
+    "deny.placeholder":    "Grund auswählen",
+    "deny.Sold elsewhere": "Anderweitig verkauft",
+    "deny.Price too low":  "Preis zu niedrig",
+    "deny.Wrong size":     "Falsche Größe",
+    "deny.Damaged":        "Beschädigt",
+    "deny.Other":          "Sonstiges",
+    "deny.modalTitle":     "Angebot ablehnen",
+    "deny.noteLabel":      "Warum kannst du nicht annehmen?",
+
+    "note.expired":            "⌛ Angebot abgelaufen. Buttons deaktiviert.",
+    "note.unregistered":       "⚠️ Angebot konnte nicht registriert werden. Wir melden uns bei dir.",
+    "note.closed":             "✅ {reason}. Angebote deaktiviert.",
+    "note.closedNoReason":     "✅ Geschlossen. Angebote deaktiviert.",
+    "note.taken":              "❌ Bereits von einem anderen Verkäufer übernommen. Diese Bestellung ist geschlossen.",
+    "note.confirmed":          "✅ Bestätigt von {seller}.",
+    "note.confirmedUnit":      "✅ Bestätigt von {seller} ({filled}/{quantity}).",
+    "note.confirmedElsewhere": "✅ Von einem anderen Verkäufer bestätigt. Angebote geschlossen.",
+    "note.filled":             "✅ Bestellung von anderen Verkäufern erfüllt. Angebote geschlossen.",
+    "note.counterSent":        "↩️ Gegenangebot {amount} von {seller} gesendet. Wartet auf Prüfung.",
+    "note.counterRejected":    "❌ Dein Gegenangebot von {amount} wurde nicht angenommen. Das ursprüngliche Angebot bleibt bestehen.",
+    "note.denied":             "❌ {seller} hat abgelehnt: {reason}.",
+    "note.deniedNoReason":     "❌ {seller} hat abgelehnt / nicht verfügbar.",
+    "note.resent":             "🔁 Erneut gesendet, siehe die neuere Nachricht unten.",
+    "note.withdrawn":          "↩️ Deine Bestätigung wurde von unserem Team zurückgezogen.",
+    "note.reopened":           "🔄 Dieses Angebot ist wieder offen.",
+
+    "reply.confirmed":      "✅ Bestätigt, wir melden uns, sobald der Deal abgeschlossen ist.",
+    "reply.confirmedUnits": "✅ Bestätigt, wir melden uns, sobald der Deal abgeschlossen ist. ({filled}/{quantity} Paare bestätigt)",
+    "reply.taken":          "❌ Bereits von einem anderen Verkäufer übernommen.",
+    "reply.duplicate":      "ℹ️ Du hast dieses Angebot bereits bestätigt.",
+    "reply.expired":        "⌛ Angebot abgelaufen.",
+    "reply.denied":         "👍 Notiert, du hast dieses Angebot abgelehnt.",
+    "reply.unknown":        "⚠️ Dieses Angebot ist nicht mehr verfügbar.",
+    "reply.unusable":       "⚠️ Dieses Angebot kann nicht mehr bestätigt werden. Bitte kontaktiere unser Team.",
+    "reply.unavailable":    "⚠️ Von diesem Paar ist in deinem Bestand nichts mehr frei (bereits bestätigt oder verkauft). Unser Team wurde informiert.",
+    "reply.vatMismatch":    "⚠️ Die anderen Paare dieser Bestellung wurden als {vatType} bestätigt, daher kann dieses Paar nicht hinzugefügt werden. Unser Team wurde informiert.",
+    "reply.notYours":       "⛔ Nur das verknüpfte Discord-Konto von {seller} kann auf dieses Angebot antworten.",
+    "reply.notBound":       "⛔ Dein Discord-Konto ist mit keinem Verkäufer verknüpft. Bitte kontaktiere unser Team.",
+    "reply.counterInvalid": "⚠️ Gegenangebot nicht gesendet: bitte gib einen gültigen Preis ein (z. B. 125 oder 125,50).",
+    "reply.counterPending": "⏳ Dein Gegenangebot von {amount} wird noch geprüft. Bitte warte auf die Antwort unseres Teams.",
+    "reply.counterSent":    "↩️ Gegenangebot von {amount} gesendet. Wir melden uns, sobald es geprüft wurde.",
+    "reply.failed":         "⚠️ Etwas ist schiefgelaufen, unser Team wurde informiert.",
+
+    "list.offersTitle":    "📬 **Deine offenen Angebote ({count})**",
+    "list.offersEmpty":    "📭 Du hast gerade keine offenen Angebote.",
+    "list.dealsTitle":     "🤝 **Deine Deals ({count})**",
+    "list.dealsEmpty":     "📭 Du hast noch keine bestätigten Deals.",
+    "list.offer":          "Angebot",
+    "list.confirmRequest": "Bestätigungsanfrage",
+    "list.expires":        "läuft ab",
+    "list.open":           "öffnen",
+    "list.message":        "Nachricht",
+    "list.unknownStatus":  "Unbekannt",
+    "list.more":           "…und {count} weitere",
+  },
+};
+
+export const LOCALES = Object.keys(CATALOG);
+
+// Intl locale per catalog locale: number and currency formatting ("€120.00", "€ 120,00", "120,00 €")
+const NUMBER_LOCALES = { en: "en-IE", nl: "nl-NL", de: "de-DE" };
+
+// Free-text preferences we get from Airtable / Make (lowercased); ISO codes and Discord
+// locales ("nl", "de", "en-GB") are matched on their language part
+const LANGUAGE_ALIASES = {
+  en: ["english", "engels", "englisch"],
+  nl: ["dutch", "nederlands", "vlaams", "flemish", "niederländisch"],
+  de: ["german", "deutsch", "duits"],
+};
+
+// Countries (ISO alpha-2, see countryCode in lib/pricing.js) whose sellers get a translation by default
+const COUNTRY_LOCALES = { NL: "nl", BE: "nl", DE: "de", AT: "de", LU: "de" };
+
+function localeOfLanguage(raw) {
+  const lang = String(raw || "").trim().toLowerCase();
+  if (!lang) return null;
+  const base = lang.split(/[-_]/)[0];
+  if (CATALOG[base]) return base;
+  return Object.keys(LANGUAGE_ALIASES).find(l => LANGUAGE_ALIASES[l].includes(lang)) || null;
+}
+
+/** Locale for a seller: their language preference first, then their country, then English */
+export function sellerLocale({ language, countryCode } = {}) {
+  return localeOfLanguage(language) || COUNTRY_LOCALES[countryCode] || DEFAULT_LOCALE;
+}
+
+/** Catalog text for `key` with {placeholders} filled in; unknown locales and keys fall back to English */
+export function t(locale, key, vars = {}) {
+  const text = CATALOG[locale]?.[key] ?? CATALOG[DEFAULT_LOCALE][key];
+  if (text == null) throw new Error(`Unknown message key "${key}"`);
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] != null ? String(vars[name]) : m));
+}
+
+const numberLocale = (locale) => NUMBER_LOCALES[locale] || NUMBER_LOCALES[DEFAULT_LOCALE];
+
+/** 120 → "€120.00" / "€ 120,00" / "120,00 €"; "—" when there is no amount */
+export function formatMoney(amount, locale) {
+  if (typeof amount !== "number" || !isFinite(amount)) return "—";
+  return new Intl.NumberFormat(numberLocale(locale), { style: "currency", currency: "EUR" }).format(amount);
+}
+
+/** 0.19 → "19%" / "19 %"; 0.255 → "25.5%" / "25,5%" */
+export function formatPercent(pct01, locale) {
+  return new Intl.NumberFormat(numberLocale(locale), { style: "percent", maximumFractionDigits: 1 }).format(pct01);
+}
@@ -0,0 +1,23 @@
+// lib/locks.js
+// In-process keyed mutex: calls with the same key run one after another.
+// Airtable has no atomic compare-and-set, so claims are serialized here
+// (the service runs as a single instance).
+
+const tails = new Map();
+
+export async function withLock(key, fn) {
+  const prev = tails.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(r => (release = r));
+  const tail = prev.then(() => current);
+  tails.set(key, tail);
+
+  await prev;
+  try {
+    return await fn();
+  } finally {
+    release();
+    // last one out cleans up so the map does not grow forever
+    if (tails.get(key) === tail) tails.delete(key);
+  }
+}
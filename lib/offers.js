@@ -0,0 +1,8 @@
+// lib/offers.js
+// Option names of the Offer Messages single selects, shared by both store backends and the
+// Discord deny menu. They must match the select options in the base (checked on boot).
+
+export const OFFER_STATUSES = ["Sent", "Accepted", "Denied", "Superseded", "Expired", "Closed"];
+
+// Deny Reason options; the labels sellers see are translated (deny.<reason> in lib/i18n.js)
+export const DENY_REASONS = ["Sold elsewhere", "Price too low", "Wrong size", "Damaged", "Other"];
@@ -0,0 +1,203 @@
+// lib/pricing.js
+// Country → VAT rate table and the offer pricing rules built on it.
+// Airtable VAT labels stay "Margin" | "VAT0" | "VAT21": "VAT21" means "VAT included"
+// (at the seller's rate), the tag shown to sellers carries the actual percentage.
+import { DEFAULT_LOCALE, t, formatPercent } from "./i18n.js";
+
+/* -------------------- Country table -------------------- */
+
+// Standard rates (%) per ISO 3166-1 alpha-2 code
+export const STANDARD_VAT_RATES = {
+  NL: 21,
+  BE: 21,
+  DE: 19,
+  FR: 20,
+  ES: 21,
+  IT: 22,
+  AT: 20,
+  PT: 23,
+  IE: 23,
+  LU: 17,
+  PL: 23,
+  DK: 25,
+  SE: 25,
+};
+
+// Free-text names we get from Airtable / Make (lowercased), plus ISO alpha-3 and flags
+const COUNTRY_ALIASES = {
+  NL: ["nld", "netherlands", "the netherlands", "nederland", "holland", "🇳🇱"],
+  BE: ["bel", "belgium", "belgië", "belgie", "belgique", "belgien", "🇧🇪"],
+  DE: ["deu", "germany", "deutschland", "duitsland", "allemagne", "alemania", "🇩🇪"],
+  FR: ["fra", "france", "frankrijk", "frankreich", "francia", "🇫🇷"],
+  ES: ["esp", "spain", "españa", "espana", "spanje", "spanien", "espagne", "🇪🇸"],
+  IT: ["ita", "italy", "italia", "italië", "italie", "italien", "🇮🇹"],
+  AT: ["aut", "austria", "österreich", "oostenrijk", "autriche", "🇦🇹"],
+  PT: ["prt", "portugal", "🇵🇹"],
+  IE: ["irl", "ireland", "ierland", "irland", "🇮🇪"],
+  LU: ["lux", "luxembourg", "luxemburg", "🇱🇺"],
+  PL: ["pol", "poland", "polen", "polska", "pologne", "🇵🇱"],
+  DK: ["dnk", "denmark", "denemarken", "dänemark", "danmark", "🇩🇰"],
+  SE: ["swe", "sweden", "zweden", "schweden", "sverige", "🇸🇪"],
+};
+
+const ALIAS_TO_CODE = new Map(
+  Object.entries(COUNTRY_ALIASES).flatMap(([code, names]) => [[code.toLowerCase(), code], ...names.map(n => [n, code])])
+);
+
+const FLAG_TO_CODE = new Map(
+  Object.entries(COUNTRY_ALIASES).flatMap(([code, names]) => names.filter(n => /\p{RI}/u.test(n)).map(n => [n, code]))
+);
+
+/** "nl" / "Nederland" / "🇩🇪 Germany" → "NL" / "DE"; null if unknown */
+export function countryCode(raw) {
+  if (!raw) return null;
+  const t = String(raw).trim().toLowerCase();
+  if (ALIAS_TO_CODE.has(t)) return ALIAS_TO_CODE.get(t);
+  // Lookups sometimes carry extra text ("Netherlands (NL)", "🇳🇱 Nederland"). Only whole names
+  // count, never a substring: "Northern Ireland" is not Ireland.
+  for (const [flag, code] of FLAG_TO_CODE) if (t.includes(flag)) return code;
+  const name = t.replace(/\p{RI}/gu, "").replace(/\(([^)]*)\)/g, " ").replace(/\s+/g, " ").trim();
+  if (ALIAS_TO_CODE.has(name)) return ALIAS_TO_CODE.get(name);
+  const inParens = t.match(/\(([^)]*)\)/)?.[1].trim();
+  return (inParens && ALIAS_TO_CODE.get(inParens)) || null;
+}
+
+// Where we are VAT-registered: sellers from here always invoice us with VAT
+export const HOME_COUNTRY = countryCode(process.env.HOME_VAT_COUNTRY || "NL") || "NL";
+export const HOME_VAT_RATE = STANDARD_VAT_RATES[HOME_COUNTRY];
+
+export const isDomestic = (country) => countryCode(country) === HOME_COUNTRY;
+
+/** Standard VAT rate (%) for a country; null if the country isn't in the table */
+export function standardVatRate(country) {
+  const code = countryCode(country);
+  return code ? STANDARD_VAT_RATES[code] ?? null : null;
+}
+
+/* -------------------- Helpers -------------------- */
+
+const toNumber = (v) => {
+  if (typeof v === "number") return v;
+  if (typeof v === "string") {
+    const n = parseFloat(v.replace(/[^\d.,-]/g, "").replace(",", "."));
+    return Number.isFinite(n) ? n : null;
+  }
+  return null;
+};
+
+const toPct01 = (p) => {
+  const n = toNumber(p);
+  if (n == null) return null;
+  return n > 1 ? n / 100 : n; // 21 -> 0.21
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/** Display tag for a VAT label in the seller's locale: "(Margin)", "(VAT 0%)", "(VAT 19%)", "(btw 21%)" */
+export function vatTag(vatLabel, ratePct = HOME_VAT_RATE, locale = DEFAULT_LOCALE) {
+  const l = String(vatLabel || "").toUpperCase();
+  if (l.includes("MARGIN")) return t(locale, "vat.margin");
+  const pct01 = l === "VAT0" ? 0 : toPct01(ratePct) ?? HOME_VAT_RATE / 100;
+  return t(locale, "vat.rate", { pct: formatPercent(pct01, locale) });
+}
+
+/**
+ * Rate (0–1) for a seller: explicit payload rate first, then the country table,
+ * then the home rate.
+ */
+export function sellerVatRate01({ sellerCountry, sellerVatPct } = {}) {
+  return toPct01(sellerVatPct) ?? toPct01(standardVatRate(sellerCountry)) ?? HOME_VAT_RATE / 100;
+}
+
+/* -------------------- Mode + display decision -------------------- */
+
+/**
+ * Offer vs confirm for one seller, with the amounts and tags shown in Discord.
+ *   Margin      → compare as-is
+ *   VAT incl.   → compare as-is, tagged with the seller's rate
+ *   VAT0, home  → seller's net price + home VAT (domestic sellers always invoice with VAT)
+ *   VAT0, other → our incl. offer brought back to net at the seller's rate
+ * Labels and VAT tags are in `locale` (lib/i18n.js).
+ */
+export function decideModeAndDisplay({
+  vatTypeRaw, sellerCountry, sellerVatPct, sellerSuggestedRaw, ourOfferIncl, locale = DEFAULT_LOCALE,
+}) {
+  const vt = String(vatTypeRaw || "").toUpperCase().replace(/\s+/g, "").replace(/-/g, "");
+  const sellerPct01 = sellerVatRate01({ sellerCountry, sellerVatPct });
+  const domestic = isDomestic(sellerCountry);
+
+  let basisSeller, basisOurs, display;
+  let confirmedVatType;
+
+  const labels = { yourLabel: t(locale, "offer.yourPrice"), ourLabel: t(locale, "offer.ourOffer") };
+
+  if (vt.includes("MARGIN")) {
+    basisSeller = sellerSuggestedRaw;
+    basisOurs   = ourOfferIncl;
+    display = {
+      yourAmount: sellerSuggestedRaw,
+      ourAmount:  ourOfferIncl,
+      vatTagYour: vatTag("Margin", undefined, locale),
+      vatTagOur:  vatTag("Margin", undefined, locale),
+      ...labels,
+    };
+    confirmedVatType = "Margin";
+
+  } else if (vt.includes("VAT0") && domestic) {
+    const factor = 1 + HOME_VAT_RATE / 100;
+    basisSeller = sellerSuggestedRaw * factor;
+    basisOurs   = ourOfferIncl;
+    display = {
+      yourAmount: sellerSuggestedRaw * factor,
+      ourAmount:  ourOfferIncl,
+      vatTagYour: vatTag("VAT21", HOME_VAT_RATE, locale),
+      vatTagOur:  vatTag("VAT21", HOME_VAT_RATE, locale),
+      ...labels,
+    };
+    confirmedVatType = "VAT21";
+
+  } else if (vt.includes("VAT0")) {
+    const divisor = 1 + sellerPct01;
+    basisSeller = sellerSuggestedRaw;
+    basisOurs   = ourOfferIncl / divisor;
+    display = {
+      yourAmount: sellerSuggestedRaw,
+      ourAmount:  basisOurs,
+      vatTagYour: vatTag("VAT0", undefined, locale),
+      vatTagOur:  vatTag("VAT0", undefined, locale),
+      ...labels,
+    };
+    confirmedVatType = "VAT0";
+
+  } else {
+    // "VAT21" / "VAT 19%" / unknown: VAT-inclusive at the seller's rate
+    basisSeller = sellerSuggestedRaw;
+    basisOurs   = ourOfferIncl;
+    display = {
+      yourAmount: sellerSuggestedRaw,
+      ourAmount:  ourOfferIncl,
+      vatTagYour: vatTag("VAT21", sellerPct01, locale),
+      vatTagOur:  vatTag("VAT21", sellerPct01, locale),
+      ...labels,
+    };
+    confirmedVatType = "VAT21";
+  }
+
+  const mode = basisOurs < basisSeller ? "offer" : "confirm";
+  return { mode, display, confirmedVatType, decision: { basisOurs, basisSeller, sellerVatRate: sellerPct01 } };
+}
+
+/* -------------------- Confirmation rule -------------------- */
+
+/**
+ * Domestic sellers are always stored as VAT21 (VAT included at the home rate);
+ * a VAT0 (net) amount is converted to incl. Margin stays Margin.
+ */
+export function applyDomesticVatRule({ sellerCountry, price, vatLabel }) {
+  const label = String(vatLabel || "").toUpperCase();
+  if (!isDomestic(sellerCountry) || label === "MARGIN") return { price, vatLabel };
+  return {
+    price: label === "VAT0" ? round2(Number(price || 0) * (1 + HOME_VAT_RATE / 100)) : price,
+    vatLabel: "VAT21",
+  };
+}
@@ -0,0 +1,93 @@
+// lib/reservations.js
+// Inventory reservations: every confirmed unit holds one Active row until the deal is finalized
+// (→ Consumed + Quantity decrement), cancelled or expired (→ Released). Available stock is
+// Quantity minus Active reservations, so a pair can't be confirmed on two orders at once.
+// All changes to one Inventory row run under its lock.
+import { withLock } from "./locks.js";
+import {
+  getInventoryQuantity,
+  setInventoryQuantity,
+  createReservation,
+  listActiveReservations,
+  listDueReservations,
+  closeReservation,
+} from "./store/index.js";
+
+// 0 = reservations never expire
+const RESERVATION_TTL_HOURS = Number(process.env.RESERVATION_TTL_HOURS ?? 72);
+
+const lockKey = (inventoryId) => `inventory:${inventoryId}`;
+
+const sameClaim = (r, { orderRecId, offerToken }) =>
+  r.orderRecId === orderRecId && (!offerToken || !r.offerToken || r.offerToken === offerToken);
+
+/**
+ * Reserve one unit of an Inventory row for an order.
+ * Returns { reserved: true, id } (also when this claim already holds one), or
+ * { reserved: false, quantity, heldBy } when every unit is taken: an oversell attempt.
+ */
+export async function reserveInventory({ inventoryId, orderRecId, offerToken }) {
+  return withLock(lockKey(inventoryId), async () => {
+    const [quantity, active] = await Promise.all([
+      getInventoryQuantity(inventoryId),
+      listActiveReservations({ inventoryId }),
+    ]);
+
+    const existing = active.find(r => sameClaim(r, { orderRecId, offerToken }));
+    if (existing) return { reserved: true, id: existing.id };
+
+    if (quantity - active.length < 1) {
+      return { reserved: false, quantity, heldBy: active.map(r => r.orderRecId) };
+    }
+
+    const expiresAt = RESERVATION_TTL_HOURS > 0
+      ? new Date(Date.now() + RESERVATION_TTL_HOURS * 3_600_000)
+      : null;
+    const id = await createReservation({ inventoryId, orderRecId, offerToken, expiresAt });
+    return { reserved: true, id };
+  });
+}
+
+/** Release one reservation, e.g. when the confirmation write after it failed */
+export async function releaseReservation({ id, inventoryId }, reason) {
+  await withLock(lockKey(inventoryId), () => closeReservation(id, { status: "Released", reason }));
+}
+
+/** Release every Active reservation of an order (cancel). Returns how many were released. */
+export async function releaseReservations(orderRecId, reason = "Cancelled") {
+  const active = await listActiveReservations({ orderRecId });
+  for (const r of active) {
+    await withLock(lockKey(r.inventoryId), () => closeReservation(r.id, { status: "Released", reason }));
+  }
+  return active.length;
+}
+
+/**
+ * Finalize: decrement Quantity for one sold unit and mark the order's reservation Consumed.
+ * `oversold` is true when the unit wasn't reserved and no free stock was left for it
+ * (reservation expired / released, or the pair was sold elsewhere); the sale still counts.
+ */
+export async function consumeReservation({ inventoryId, orderRecId, offerToken }) {
+  return withLock(lockKey(inventoryId), async () => {
+    const [quantity, active] = await Promise.all([
+      getInventoryQuantity(inventoryId),
+      listActiveReservations({ inventoryId }),
+    ]);
+    const mine = active.find(r => sameClaim(r, { orderRecId, offerToken }));
+    const heldByOthers = active.length - (mine ? 1 : 0);
+
+    await setInventoryQuantity(inventoryId, quantity - 1);
+    if (mine) await closeReservation(mine.id, { status: "Consumed", reason: "Finalized" });
+
+    return { reserved: !!mine, oversold: quantity - heldByOthers < 1, quantity };
+  });
+}
+
+/** Release reservations past their Expires At. Returns the released rows. */
+export async function releaseExpiredReservations() {
+  const due = await listDueReservations();
+  for (const r of due) {
+    await withLock(lockKey(r.inventoryId), () => closeReservation(r.id, { status: "Released", reason: "Expired" }));
+  }
+  return due;
+}
@@ -0,0 +1,56 @@
+// lib/store/airtable.js
+// Airtable backend: the repository functions of lib/airtable.js as they are.
+export {
+  // Offer messages
+  logOfferMessage,
+  getOfferByToken,
+  listOfferMessagesForOrder,
+  listOfferMessagesByStatus,
+  listOfferMessagesOfSellers,
+  findOfferMessage,
+  listDueExpiredOfferMessages,
+  markOfferMessageExpired,
+  setOfferMessageStatus,
+  recordCounterOffer,
+  setCounterOfferStatus,
+
+  // Inventory & sellers
+  createInventoryAccessor,
+  getInventoryLinkedSellerId,
+  getInventorySellerCountry,
+  getInventoryQuantity,
+  setInventoryQuantity,
+  resolveSaleInventoryId,
+  getSellerDiscordBinding,
+  findSellersForDiscordUser,
+
+  // Inventory reservations
+  createReservation,
+  listActiveReservations,
+  listDueReservations,
+  closeReservation,
+
+  // External records
+  readExternalRecord,
+  listExternalDeals,
+  writeExternalFeedback,
+  getExternalOfferStatus,
+  setExternalConfirmation,
+  setExternalOfferStatus,
+  readFinalizeProgress,
+  saveFinalizeProgress,
+
+  // Multi-quantity units
+  createExternalConfirmation,
+  listExternalConfirmations,
+  linkConfirmationSale,
+  markConfirmationDecremented,
+
+  // Sales & affiliate sales
+  createSalesFromExternal,
+  createAffiliateFromExternal,
+
+  // Schema
+  validateSchema,
+  getSchemaReport,
+} from "../airtable.js";
@@ -0,0 +1,77 @@
+// lib/store/index.js
+// Storage repository used by server.js and lib/reservations.js. The backend is chosen by
+// STORE_BACKEND: "airtable" (default, lib/airtable.js) or "memory" (lib/store/memory.js,
+// seeded from STORE_SEED_FILE) for local runs and tests without an Airtable base.
+const STORE_BACKEND = (process.env.STORE_BACKEND || "airtable").toLowerCase();
+
+const BACKENDS = {
+  airtable: () => import("./airtable.js"),
+  memory:   () => import("./memory.js"),
+};
+
+if (!BACKENDS[STORE_BACKEND]) {
+  throw new Error(`Unknown STORE_BACKEND "${STORE_BACKEND}" (expected: ${Object.keys(BACKENDS).join(", ")})`);
+}
+
+const backend = await BACKENDS[STORE_BACKEND]();
+console.log(`[store] backend: ${STORE_BACKEND}`);
+
+export const storeBackend = STORE_BACKEND;
+
+export const {
+  // Offer messages
+  logOfferMessage,
+  getOfferByToken,
+  listOfferMessagesForOrder,
+  listOfferMessagesByStatus,
+  listOfferMessagesOfSellers,
+  findOfferMessage,
+  listDueExpiredOfferMessages,
+  markOfferMessageExpired,
+  setOfferMessageStatus,
+  recordCounterOffer,
+  setCounterOfferStatus,
+
+  // Inventory & sellers
+  createInventoryAccessor,
+  getInventoryLinkedSellerId,
+  getInventorySellerCountry,
+  getInventoryQuantity,
+  setInventoryQuantity,
+  resolveSaleInventoryId,
+  getSellerDiscordBinding,
+  findSellersForDiscordUser,
+
+  // Inventory reservations
+  createReservation,
+  listActiveReservations,
+  listDueReservations,
+  closeReservation,
+
+  // External records
+  readExternalRecord,
+  listExternalDeals,
+  writeExternalFeedback,
+  getExternalOfferStatus,
+  setExternalConfirmation,
+  setExternalOfferStatus,
+  readFinalizeProgress,
+  saveFinalizeProgress,
+
+  // Multi-quantity units
+  createExternalConfirmation,
+  listExternalConfirmations,
+  linkConfirmationSale,
+  markConfirmationDecremented,
+
+  // Sales & affiliate sales
+  createSalesFromExternal,
+  createAffiliateFromExternal,
+
+  // Schema
+  validateSchema,
+  getSchemaReport,
+} = backend;
+
+// Generic helper, works for either backend
+export { fireAndForget } from "../airtable.js";
@@ -0,0 +1,440 @@
+// lib/store/memory.js
+// In-memory backend (STORE_BACKEND=memory): same functions as lib/store/airtable.js, state in Maps.
+// Seeded from STORE_SEED_FILE (see seed.example.json) so the bot runs locally / in tests
+// without an Airtable base. Nothing is persisted; a restart starts from the seed again.
+//
+// Offers, units, reservations, inventory and sellers are kept as plain objects. External
+// records keep Airtable-style field bags, because the finalize flow reads them as such
+// (readExternalRecord), using the field map names (lib/fieldmap.js).
+import { readFileSync } from "node:fs";
+import { FIELDS } from "../fieldmap.js";
+import { OFFER_STATUSES, DENY_REASONS } from "../offers.js";
+
+const { STORE_SEED_FILE } = process.env;
+
+const {
+  offerStatus:         FIELD_OFFER_STATUS,
+  confirmedPrice:      FIELD_CONFIRMED_PRICE,
+  confirmedSeller:     FIELD_CONFIRMED_SELLER,
+  offerVatType:        FIELD_OFFER_VAT_TYPE,
+  dealStatus:          FIELD_DEAL_STATUS,
+  botFeedback:         FIELD_BOT_FEEDBACK,
+  finalDealPrice:      FIELD_FINAL_DEAL_PRICE,
+  sku:                 FIELD_SKU,
+  skuName:             FIELD_SKU_NAME,
+  brand:               FIELD_BRAND,
+  productName:         FIELD_PRODUCT_NAME,
+  size:                FIELD_SIZE,
+  confirmedInventory:  FIELD_CONFIRMED_INVENTORY,
+  linkedAffiliate:     FIELD_LINKED_AFFILIATE,
+  externalOrderId:     FIELD_EXT_ORDER_ID,
+  sellingVatType:      FIELD_EXT_SELLING_VAT_TYPE,
+  stockLevelsLink:     FIELD_EXT_STOCK_LINK,
+  confirmedBy:         FIELD_CONFIRMED_BY_DISCORD,
+  finalizeSalesIds:    FIELD_FINALIZE_SALES_IDS,
+  finalizeAffiliateId: FIELD_FINALIZE_AFFILIATE_ID,
+  finalizeInvDone:     FIELD_FINALIZE_INV_DONE,
+} = FIELDS.external;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+const first = (v) => (Array.isArray(v) ? v[0] : v) ?? null;
+const label = (v) => (v && typeof v === "object" && "name" in v ? v.name : v) ?? null;
+
+/* -------------------- State -------------------- */
+
+const db = {
+  offers: new Map(),        // id → offer (shape of lib/airtable.js mapOfferMessage)
+  inventory: new Map(),     // id → { id, sellerRecId, sellerCountry, quantity, stockLevelId }
+  sellers: new Map(),       // id → { id, sellerId, discordUserIds, discordRoleIds }
+  external: new Map(),      // id → fields (Airtable field names)
+  units: new Map(),         // id → External Confirmations unit
+  reservations: new Map(),  // id → { id, inventoryId, orderRecId, offerToken, status, expiresAt, reason }
+  sales: new Map(),
+  affiliateSales: new Map(),
+};
+
+let nextId = 1;
+const newId = (prefix) => `mem${prefix}${String(nextId++).padStart(6, "0")}`;
+
+function mustGet(table, id) {
+  const row = db[table].get(id);
+  if (!row) throw new Error(`[memory store] ${table} ${id} not found`);
+  return row;
+}
+
+/**
+ * Replace all state with a dataset:
+ *   { sellers: [{ id, sellerId, discordUserIds, discordRoleIds }],
+ *     inventory: [{ id, sellerRecId, sellerCountry, quantity, stockLevelId }],
+ *     external: [{ id, fields }] }
+ */
+export function seedStore(data = {}) {
+  for (const table of Object.values(db)) table.clear();
+  for (const s of data.sellers || []) {
+    db.sellers.set(s.id, { discordUserIds: [], discordRoleIds: [], ...s });
+  }
+  for (const i of data.inventory || []) {
+    db.inventory.set(i.id, { quantity: 0, ...i });
+  }
+  for (const e of data.external || []) {
+    db.external.set(e.id, { ...e.fields });
+  }
+}
+
+/** Everything in the store as plain arrays (assertions in tests, debugging) */
+export function dumpStore() {
+  return Object.fromEntries(
+    Object.entries(db).map(([table, rows]) => [table, [...rows.entries()].map(([id, row]) => ({ id, ...row }))])
+  );
+}
+
+if (STORE_SEED_FILE) {
+  seedStore(JSON.parse(readFileSync(STORE_SEED_FILE, "utf8")));
+  console.log(`[memory store] seeded from ${STORE_SEED_FILE}`);
+}
+
+/* -------------------- Offer messages -------------------- */
+
+export async function logOfferMessage({
+  offerToken, orderRecId, sellerId, inventoryRecordId, channelId, messageId, offerPrice, vatLabel, mode, expiresAt, orderQty, wave, locale,
+}) {
+  const id = newId("Offer");
+  db.offers.set(id, {
+    id,
+    token: offerToken,
+    orderRecId,
+    channelId,
+    messageId,
+    sellerId: sellerId ?? null,
+    inventoryRecordId: inventoryRecordId ?? null,
+    offerPrice: typeof offerPrice === "number" ? round2(offerPrice) : null,
+    vatLabel: vatLabel || null,
+    counterPrice: null,
+    counterStatus: null,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+    expired: false,
+    orderQty: orderQty > 1 ? orderQty : 1,
+    wave: wave || null,
+    status: "Sent",
+    mode: mode || null,
+    responderId: null,
+    respondedAt: null,
+    closeReason: null,
+    denyReason: null,
+    denyNote: null,
+    locale: locale || null,
+    createdAt: new Date(),
+  });
+  return id;
+}
+
+const copyOffer = (o) => (o ? { ...o } : null);
+
+export async function getOfferByToken(offerToken) {
+  if (!offerToken) return null;
+  return copyOffer([...db.offers.values()].find(o => o.token === offerToken));
+}
+
+export async function listOfferMessagesByStatus(statuses) {
+  return [...db.offers.values()]
+    .filter(o => statuses.includes(o.status) && o.channelId && o.messageId)
+    .map(copyOffer);
+}
+
+export async function listOfferMessagesOfSellers(sellerIds, statuses) {
+  return [...db.offers.values()]
+    .filter(o => sellerIds.includes(o.sellerId) && statuses.includes(o.status) && o.channelId && o.messageId)
+    .map(copyOffer);
+}
+
+export async function listOfferMessagesForOrder(orderRecId) {
+  if (!orderRecId) return [];
+  return [...db.offers.values()]
+    .filter(o => o.orderRecId === orderRecId && o.channelId && o.messageId)
+    .map(copyOffer);
+}
+
+export async function findOfferMessage({ channelId, messageId }) {
+  if (!channelId || !messageId) return null;
+  return copyOffer([...db.offers.values()].find(o => o.channelId === channelId && o.messageId === messageId));
+}
+
+export async function listDueExpiredOfferMessages() {
+  const now = new Date();
+  return [...db.offers.values()]
+    .filter(o => o.expiresAt && o.expiresAt < now && !o.expired && o.channelId && o.messageId)
+    .sort((a, b) => a.expiresAt - b.expiresAt)
+    .map(copyOffer);
+}
+
+export async function markOfferMessageExpired(offerMsgRecId, { close = true } = {}) {
+  const o = mustGet("offers", offerMsgRecId);
+  o.expired = true;
+  if (close) Object.assign(o, { status: "Expired", closeReason: "Expired" });
+}
+
+export async function setOfferMessageStatus(offerMsgRecId, { status, responderId, reason, denyReason, denyNote }) {
+  if (!OFFER_STATUSES.includes(status)) throw new Error(`Unknown offer status "${status}"`);
+  const o = mustGet("offers", offerMsgRecId);
+  o.status = status;
+  if (responderId) Object.assign(o, { responderId: String(responderId), respondedAt: new Date() });
+  if (reason) o.closeReason = String(reason);
+  else if (status === "Sent") o.closeReason = null; // re-opened
+  if (denyReason) {
+    if (!DENY_REASONS.includes(denyReason)) throw new Error(`Unknown deny reason "${denyReason}"`);
+    Object.assign(o, { denyReason, denyNote: denyNote ? String(denyNote) : null });
+  }
+}
+
+export async function recordCounterOffer(offerMsgRecId, { counterPrice }) {
+  Object.assign(mustGet("offers", offerMsgRecId), { counterPrice: round2(counterPrice), counterStatus: "Pending" });
+}
+
+export async function setCounterOfferStatus(offerMsgRecId, statusName) {
+  mustGet("offers", offerMsgRecId).counterStatus = statusName;
+}
+
+/* -------------------- Inventory & sellers -------------------- */
+
+/** Same shape as the Airtable accessor; rows are already in memory, so nothing is cached */
+export function createInventoryAccessor() {
+  return {
+    load: async () => {},
+    get: async (inventoryId) => db.inventory.get(inventoryId) || null,
+    linkedSellerId: getInventoryLinkedSellerId,
+    sellerCountry: getInventorySellerCountry,
+  };
+}
+
+export async function getInventoryLinkedSellerId(inventoryId) {
+  const inv = mustGet("inventory", inventoryId);
+  if (!inv.sellerRecId) throw new Error(`Inventory ${inventoryId}: Linked Seller is empty.`);
+  return inv.sellerRecId;
+}
+
+export async function getInventorySellerCountry(inventoryId) {
+  if (!inventoryId) return null;
+  return mustGet("inventory", inventoryId).sellerCountry ?? null;
+}
+
+export async function getInventoryQuantity(inventoryId) {
+  return Number(mustGet("inventory", inventoryId).quantity) || 0;
+}
+
+export async function setInventoryQuantity(inventoryId, quantity) {
+  mustGet("inventory", inventoryId).quantity = Math.max(0, quantity);
+}
+
+/** Same resolution as Airtable: the unit's / confirmed Inventory row, else seller + stock level */
+export async function resolveSaleInventoryId(ex, unit) {
+  if (unit) {
+    if (unit.inventoryRecId && db.inventory.has(unit.inventoryRecId)) return unit.inventoryRecId;
+    throw new Error(
+      `No Inventory record found for confirmed unit ${unit.id} (pair likely removed from seller inventory).`
+    );
+  }
+  const confirmed = first(ex[FIELD_CONFIRMED_INVENTORY]);
+  if (confirmed && db.inventory.has(confirmed)) return confirmed;
+
+  const sellerId = first(ex[FIELD_CONFIRMED_SELLER]);
+  const stockLevelId = first(ex[FIELD_EXT_STOCK_LINK]);
+  const match = [...db.inventory.values()].find(i =>
+    (!sellerId || i.sellerRecId === sellerId) && (!stockLevelId || i.stockLevelId === stockLevelId) &&
+    (sellerId || stockLevelId)
+  );
+  if (match) return match.id;
+  throw new Error(
+    "No Inventory record found for this External Sale (Confirmed Inventory Unit missing and no match on Seller + Stock Levels)."
+  );
+}
+
+export async function getSellerDiscordBinding(sellerRecId) {
+  const s = mustGet("sellers", sellerRecId);
+  return { userIds: [...(s.discordUserIds || [])], roleIds: [...(s.discordRoleIds || [])] };
+}
+
+export async function findSellersForDiscordUser({ userId, roleIds = [] }) {
+  if (!userId) return [];
+  return [...db.sellers.values()]
+    .filter(s => (s.discordUserIds || []).includes(userId) || (s.discordRoleIds || []).some(r => roleIds.includes(r)))
+    .map(s => ({ id: s.id, sellerId: s.sellerId || null }));
+}
+
+/* -------------------- Inventory reservations -------------------- */
+
+export async function createReservation({ inventoryId, orderRecId, offerToken, expiresAt }) {
+  const id = newId("Res");
+  db.reservations.set(id, {
+    id, inventoryId, orderRecId, offerToken: offerToken || null,
+    status: "Active", expiresAt: expiresAt ? new Date(expiresAt) : null, reason: null,
+  });
+  return id;
+}
+
+const copyReservation = ({ id, inventoryId, orderRecId, offerToken, expiresAt }) =>
+  ({ id, inventoryId, orderRecId, offerToken, expiresAt });
+
+export async function listActiveReservations({ inventoryId, orderRecId } = {}) {
+  return [...db.reservations.values()]
+    .filter(r => r.status === "Active" &&
+      (!inventoryId || r.inventoryId === inventoryId) && (!orderRecId || r.orderRecId === orderRecId))
+    .map(copyReservation);
+}
+
+export async function listDueReservations() {
+  const now = new Date();
+  return [...db.reservations.values()]
+    .filter(r => r.status === "Active" && r.expiresAt && r.expiresAt < now)
+    .map(copyReservation);
+}
+
+export async function closeReservation(reservationId, { status, reason }) {
+  Object.assign(mustGet("reservations", reservationId), { status, reason: reason || null });
+}
+
+/* -------------------- External records -------------------- */
+
+export async function readExternalRecord(recordId) {
+  return { ...mustGet("external", recordId) };
+}
+
+export async function listExternalDeals(orderRecIds) {
+  return [...new Set(orderRecIds)].filter(id => db.external.has(id)).map(id => {
+    const f = db.external.get(id);
+    return {
+      id,
+      externalOrderId: f[FIELD_EXT_ORDER_ID] ?? null,
+      productName:     f[FIELD_PRODUCT_NAME] ?? null,
+      sku:             first(f[FIELD_SKU_NAME]),
+      brand:           first(f[FIELD_BRAND]),
+      size:            f[FIELD_SIZE] ?? null,
+      offerStatus:     label(f[FIELD_OFFER_STATUS]),
+      dealStatus:      label(f[FIELD_DEAL_STATUS]),
+      confirmedPrice:  f[FIELD_CONFIRMED_PRICE] ?? null,
+    };
+  });
+}
+
+export async function writeExternalFeedback(recordId, { feedback, dealStatusName }) {
+  const f = mustGet("external", recordId);
+  if (feedback != null) f[FIELD_BOT_FEEDBACK] = String(feedback);
+  if (dealStatusName)   f[FIELD_DEAL_STATUS]  = dealStatusName;
+}
+
+export async function getExternalOfferStatus(orderRecId) {
+  return label(mustGet("external", orderRecId)[FIELD_OFFER_STATUS]);
+}
+
+export async function setExternalConfirmation({
+  orderRecId, confirmedPrice, confirmedSellerRecId, statusName = "Confirmed", offerVatTypeLabel,
+  dealStatusName = "Closing", confirmedInventoryRecId, confirmedByDiscordUserId,
+}) {
+  const f = mustGet("external", orderRecId);
+  f[FIELD_CONFIRMED_PRICE]  = typeof confirmedPrice === "number" ? round2(confirmedPrice) : null;
+  f[FIELD_CONFIRMED_SELLER] = confirmedSellerRecId ? [confirmedSellerRecId] : [];
+  f[FIELD_OFFER_STATUS]     = statusName;
+  if (confirmedInventoryRecId !== undefined)  f[FIELD_CONFIRMED_INVENTORY]  = confirmedInventoryRecId ? [confirmedInventoryRecId] : [];
+  if (confirmedByDiscordUserId !== undefined) f[FIELD_CONFIRMED_BY_DISCORD] = confirmedByDiscordUserId ? String(confirmedByDiscordUserId) : null;
+  if (offerVatTypeLabel !== undefined)        f[FIELD_OFFER_VAT_TYPE]       = offerVatTypeLabel || null;
+  if (dealStatusName)           f[FIELD_DEAL_STATUS]          = dealStatusName;
+}
+
+export async function setExternalOfferStatus(orderRecId, { statusName, dealStatusName, confirmedSellerRecIds }) {
+  const f = mustGet("external", orderRecId);
+  if (confirmedSellerRecIds) f[FIELD_CONFIRMED_SELLER] = [...new Set(confirmedSellerRecIds)];
+  if (statusName)            f[FIELD_OFFER_STATUS]     = statusName;
+  if (dealStatusName)        f[FIELD_DEAL_STATUS]      = dealStatusName;
+}
+
+export function readFinalizeProgress(exFields) {
+  return {
+    salesIds: String(exFields[FIELD_FINALIZE_SALES_IDS] || "").split(/[\s,]+/).filter(Boolean),
+    affiliateId: exFields[FIELD_FINALIZE_AFFILIATE_ID] || null,
+    inventoryDecremented: !!exFields[FIELD_FINALIZE_INV_DONE],
+  };
+}
+
+export async function saveFinalizeProgress(recordId, { salesIds, affiliateId, inventoryDecremented }) {
+  const f = mustGet("external", recordId);
+  if (salesIds)                     f[FIELD_FINALIZE_SALES_IDS]    = salesIds.join(", ");
+  if (affiliateId)                  f[FIELD_FINALIZE_AFFILIATE_ID] = affiliateId;
+  if (inventoryDecremented != null) f[FIELD_FINALIZE_INV_DONE]     = !!inventoryDecremented;
+}
+
+/* -------------------- Multi-quantity units -------------------- */
+
+export async function createExternalConfirmation({
+  orderRecId, offerToken, sellerRecId, inventoryRecId, price, vatLabel, confirmedByDiscordUserId,
+}) {
+  const id = newId("Unit");
+  db.units.set(id, {
+    id, orderRecId, offerToken: offerToken || null, sellerRecId: sellerRecId || null,
+    inventoryRecId: inventoryRecId || null, price: typeof price === "number" ? round2(price) : null,
+    vatLabel: vatLabel || null, confirmedBy: confirmedByDiscordUserId ? String(confirmedByDiscordUserId) : null,
+    salesId: null, inventoryDecremented: false,
+  });
+  return id;
+}
+
+export async function listExternalConfirmations(orderRecId) {
+  if (!orderRecId) return [];
+  return [...db.units.values()]
+    .filter(u => u.orderRecId === orderRecId)
+    .map(({ id, offerToken, sellerRecId, inventoryRecId, price, vatLabel, salesId, inventoryDecremented }) =>
+      ({ id, offerToken, sellerRecId, inventoryRecId, price, vatLabel, salesId, inventoryDecremented }));
+}
+
+export async function linkConfirmationSale(confirmationId, salesId) {
+  mustGet("units", confirmationId).salesId = salesId;
+}
+
+export async function markConfirmationDecremented(confirmationId) {
+  mustGet("units", confirmationId).inventoryDecremented = true;
+}
+
+/* -------------------- Sales & affiliate sales -------------------- */
+
+export async function createSalesFromExternal(ex, opts = {}) {
+  const { overrideVatType, unit } = opts;
+  const inventoryId = await resolveSaleInventoryId(ex, unit);
+  const id = newId("Sale");
+  db.sales.set(id, {
+    id,
+    skuId:       first(ex[FIELD_SKU]),
+    sellerRecId: unit ? unit.sellerRecId : first(ex[FIELD_CONFIRMED_SELLER]),
+    finalPrice:  unit ? unit.price : ex[FIELD_CONFIRMED_PRICE] ?? null,
+    vatType:     unit ? unit.vatLabel || overrideVatType : overrideVatType || label(ex[FIELD_OFFER_VAT_TYPE]),
+    inventoryId,
+  });
+  return { id, inventoryId };
+}
+
+export async function createAffiliateFromExternal(ex, salesIds) {
+  const id = newId("Aff");
+  db.affiliateSales.set(id, {
+    id,
+    skuId:           first(ex[FIELD_SKU]),
+    sellingPrice:    ex[FIELD_FINAL_DEAL_PRICE] ?? null,
+    salesIds:        [].concat(salesIds || []).filter(Boolean),
+    linkedAffiliate: first(ex[FIELD_LINKED_AFFILIATE]),
+    externalOrderNo: ex[FIELD_EXT_ORDER_ID] ?? null,
+    sellingVatType:  label(ex[FIELD_EXT_SELLING_VAT_TYPE]),
+  });
+  return id;
+}
+
+/* -------------------- Schema -------------------- */
+
+const schemaReport = {
+  ok: true,
+  checkedAt: null,
+  errors: [],
+  warnings: ["In-memory store (STORE_BACKEND=memory): no Airtable schema to check"],
+};
+
+export async function validateSchema() {
+  schemaReport.checkedAt = new Date().toISOString();
+  return schemaReport;
+}
+
+export const getSchemaReport = () => schemaReport;
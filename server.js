@@ -1,4 +1,5 @@
 // server.js
+import { randomBytes } from "node:crypto";
 import express from "express";
 import morgan from "morgan";
 import {
@@ -6,13 +7,33 @@ import {
   onButtonInteraction,
   sendExternalOfferMessageGateway,         // OFFER (pre-confirms)
   sendExternalConfirmationMessageGateway,  // CONFIRMATION (pre-confirms)
+  buildExternalOfferMessage,               // dry-run previews
+  buildExternalConfirmationMessage,
   disableMessageButtonsGateway,
+  updateMessageNote,
+  sendCounterOfferStaffMessage,
   sendDealUpdateMessage,
+  sendStaffAlert,
+  onSlashCommand,
+  messageUrl,
+  reopenMessageButtons,
+  repostSellerMessage,
 } from "./lib/discord.js";
+import { withLock } from "./lib/locks.js";
+import { FIELDS } from "./lib/fieldmap.js";
+import { decideModeAndDisplay, applyDomesticVatRule, isDomestic, countryCode } from "./lib/pricing.js";
+import { sellerLocale, t, formatMoney } from "./lib/i18n.js";
+import {
+  reserveInventory,
+  releaseReservation,
+  releaseReservations,
+  consumeReservation,
+  releaseExpiredReservations,
+} from "./lib/reservations.js";
 import {
   logOfferMessage,
   listOfferMessagesForOrder,
-  getInventoryLinkedSellerId,
+  createInventoryAccessor,
   setExternalConfirmation,
 
   // NEW helpers for finalize flow
@@ -20,8 +41,41 @@ import {
   writeExternalFeedback,
   createSalesFromExternal,
   createAffiliateFromExternal,
-  getInventorySellerCountry,   //  👈 add this
-} from "./lib/airtable.js";
+
+  // Counter offers
+  findOfferMessage,
+  getOfferByToken,
+  recordCounterOffer,
+  setCounterOfferStatus,
+
+  // Offer expiry
+  listDueExpiredOfferMessages,
+  markOfferMessageExpired,
+  setOfferMessageStatus,
+  getExternalOfferStatus,
+  getSellerDiscordBinding,
+
+  // Seller slash commands
+  findSellersForDiscordUser,
+  listOfferMessagesByStatus,
+  listOfferMessagesOfSellers,
+  listExternalDeals,
+
+  // Multi-quantity orders
+  createExternalConfirmation,
+  listExternalConfirmations,
+  linkConfirmationSale,
+  markConfirmationDecremented,
+  readFinalizeProgress,
+  saveFinalizeProgress,
+  resolveSaleInventoryId,
+  setExternalOfferStatus,
+
+  // Store
+  fireAndForget,
+  validateSchema,
+  getSchemaReport,
+} from "./lib/store/index.js";
 
 const app = express();
 app.use(morgan("combined"));
@@ -29,16 +83,13 @@ app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
 
 app.get("/", (_req, res) => res.type("text/plain").send("External offers service OK"));
-app.get("/health", (_req, res) => res.json({ ok: true, ts: new Date().toISOString() }));
+// Schema problems (missing fields, wrong types, missing select options) are reported here, not mid-deal
+app.get("/health", (_req, res) => {
+  const schema = getSchemaReport();
+  res.json({ ok: schema.ok !== false, ts: new Date().toISOString(), schema });
+});
 
 /* -------------------- Helpers -------------------- */
-const isNL = (s) => {
-  if (!s) return false;
-  const t = String(s).trim().toLowerCase();
-  if (t === "nl" || t === "nld" || t === "nederland" || t === "netherlands" || t === "the netherlands") return true;
-  if (t.includes("neder") || t.includes("nether") || t.includes("🇳🇱")) return true;
-  return false;
-};
 const euro = (v) => (typeof v === "number" && isFinite(v) ? `€${v.toFixed(2)}` : "—");
 const toNumber = (v) => {
   if (typeof v === "number") return v;
@@ -48,12 +99,6 @@ const toNumber = (v) => {
   }
   return null;
 };
-const toPct01 = (p) => {
-  const n = toNumber(p);
-  if (n == null) return null;
-  return n > 1 ? n / 100 : n; // 21 -> 0.21
-};
-
 // Helper to pull a readable string from Airtable single-select/lookup/text
 const toText = (val) => {
   if (val == null) return null;
@@ -78,89 +123,15 @@ const toText = (val) => {
   return String(val);
 };
 
+// Order expiry from payload: absolute `expiresAt` (ISO) wins over `ttlMinutes`; null = never expires.
+// An unparseable `expiresAt` comes back as an Invalid Date, which handleExternalOffers refuses.
+const resolveExpiry = (order) => {
+  if (order?.expiresAt) return new Date(order.expiresAt);
+  const ttl = toNumber(order?.ttlMinutes);
+  return ttl != null && ttl > 0 ? new Date(Date.now() + ttl * 60_000) : null;
+};
+const isExpired = (offerMsg) => !!offerMsg && (offerMsg.expired || (offerMsg.expiresAt && offerMsg.expiresAt <= new Date()));
 
-/* -------------------- Mode + display decision (unchanged) -------------------- */
-function decideModeAndDisplay({
-  vatTypeRaw, sellerCountry, sellerVatPct, sellerSuggestedRaw, ourOfferIncl,
-}) {
-  const vt = String(vatTypeRaw || "").toUpperCase().replace(/\s+/g, "").replace(/-/g, "");
-  const sellerPct01 = toPct01(sellerVatPct ?? 21) ?? 0.21;
-  const treatAsNL = isNL(sellerCountry); // remove the "~21%" heuristic
-
-  let basisSeller, basisOurs, display;
-  let confirmedVatType;
-
-  if (vt.includes("MARGIN")) {
-    basisSeller = sellerSuggestedRaw;
-    basisOurs   = ourOfferIncl;
-    display = {
-      yourAmount: sellerSuggestedRaw,
-      ourAmount:  ourOfferIncl,
-      vatTagYour: "(Margin)",
-      vatTagOur:  "(Margin)",
-      yourLabel:  "Your Price",
-      ourLabel:   "Our Offer",
-    };
-    confirmedVatType = "Margin";
-
-  } else if (vt.includes("VAT21")) {
-    basisSeller = sellerSuggestedRaw;
-    basisOurs   = ourOfferIncl;
-    display = {
-      yourAmount: sellerSuggestedRaw,
-      ourAmount:  ourOfferIncl,
-      vatTagYour: "(VAT 21%)",
-      vatTagOur:  "(VAT 21%)",
-      yourLabel:  "Your Price",
-      ourLabel:   "Our Offer",
-    };
-    confirmedVatType = "VAT21";
-
-  } else if (vt.includes("VAT0") && treatAsNL) {
-    const factor = 1 + sellerPct01;
-    basisSeller = sellerSuggestedRaw * factor;
-    basisOurs   = ourOfferIncl;
-    display = {
-      yourAmount: sellerSuggestedRaw * factor,
-      ourAmount:  ourOfferIncl,
-      vatTagYour: "(VAT 21%)",
-      vatTagOur:  "(VAT 21%)",
-      yourLabel:  "Your Price",
-      ourLabel:   "Our Offer",
-    };
-    confirmedVatType = "VAT21";
-
-  } else if (vt.includes("VAT0")) {
-    const divisor = 1 + sellerPct01;
-    basisSeller = sellerSuggestedRaw;
-    basisOurs   = ourOfferIncl / divisor;
-    display = {
-      yourAmount: sellerSuggestedRaw,
-      ourAmount:  basisOurs,
-      vatTagYour: "(VAT 0%)",
-      vatTagOur:  "(VAT 0%)",
-      yourLabel:  "Your Price",
-      ourLabel:   "Our Offer",
-    };
-    confirmedVatType = "VAT0";
-
-  } else {
-    basisSeller = sellerSuggestedRaw;
-    basisOurs   = ourOfferIncl;
-    display = {
-      yourAmount: sellerSuggestedRaw,
-      ourAmount:  ourOfferIncl,
-      vatTagYour: "(VAT 21%)",
-      vatTagOur:  "(VAT 21%)",
-      yourLabel:  "Your Price",
-      ourLabel:   "Our Offer",
-    };
-    confirmedVatType = "VAT21";
-  }
-
-  const mode = basisOurs < basisSeller ? "offer" : "confirm";
-  return { mode, display, confirmedVatType, decision: { basisOurs, basisSeller } };
-}
 
 // ───────────────── Deal Updates (called from Make) ─────────────────
 const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN; // set this in your env
@@ -191,177 +162,1077 @@ app.post("/deal-update", async (req, res) => {
 });
 
 
-/* -------------------- External offers entry (unchanged) -------------------- */
-app.post("/external-offers", async (req, res) => {
+/* -------------------- External offers entry -------------------- */
+const newOfferToken = () => randomBytes(12).toString("base64url");
+
+// Store the offer behind a just-posted message; if that fails the buttons would be dead, so disable them
+// (there is no row to track a status on in that case)
+async function registerOffer(offer) {
+  try {
+    await logOfferMessage(offer);
+  } catch (e) {
+    await disableMessageButtonsGateway(offer.channelId, offer.messageId, t(offer.locale, "note.unregistered"), offer.locale)
+      .catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * What one seller would get for an order: mode decision, displayed amounts and the
+ * message arguments. Returns { sellerId, skipped: true, reason } when prices aren't usable.
+ */
+function planOfferForSeller(order, s) {
+  const { orderRecId, orderHumanId, sku, size, expiresAt } = order;
+
+  const vatTypeRaw        = s.sellerVatType;
+  const sellerCountry     = s.sellerCountry || "";
+  const sellerVatPct      = s.sellerVatRatePct; // falls back to the country table in lib/pricing.js
+  const locale            = sellerLocale({ language: s.sellerLanguage, countryCode: countryCode(sellerCountry) });
+  const money             = (v) => formatMoney(v, locale);
+  const sellerSuggested   = Number(s.sellerSuggestedRaw);
+  const ourOfferIncl      = Number(s.baseOfferIncl);
+  if (!Number.isFinite(sellerSuggested)) {
+    return { sellerId: s.sellerId, skipped: true, reason: `sellerSuggestedRaw is not a number (${JSON.stringify(s.sellerSuggestedRaw)})` };
+  }
+  if (!Number.isFinite(ourOfferIncl)) {
+    return { sellerId: s.sellerId, skipped: true, reason: `baseOfferIncl is not a number (${JSON.stringify(s.baseOfferIncl)})` };
+  }
+
+  const { mode, display, confirmedVatType, decision } = decideModeAndDisplay({
+    vatTypeRaw, sellerCountry, sellerVatPct, sellerSuggestedRaw: sellerSuggested, ourOfferIncl, locale
+  });
+
+  const common = {
+    orderRecId,
+    orderHumanId,
+    sellerId: s.sellerId,
+    sellerName: s.sellerName,
+    productName: s.productName || null,
+    sku,
+    size,
+    expiresAt,
+    locale,
+  };
+
+  // Offer: we commit to our amount. Confirm: the seller's own price.
+  const amount = mode === "offer" ? display.ourAmount : display.yourAmount;
+  const messageArgs = mode === "offer"
+    ? {
+        ...common,
+        yourLabel: display.yourLabel,
+        yourValue: `${money(display.yourAmount)} ${display.vatTagYour}`,
+        ourLabel:  display.ourLabel,
+        ourValue:  `${money(display.ourAmount)} ${display.vatTagOur}`,
+        acceptAmount: money(display.ourAmount),
+      }
+    : {
+        ...common,
+        sellingLine: t(locale, "confirm.sellingPrice", { amount: `${money(display.yourAmount)} ${display.vatTagYour}` }),
+      };
+
+  return {
+    sellerId: s.sellerId,
+    inventoryRecordId: s.inventoryRecordId,
+    mode,
+    kind: mode === "offer" ? "offer" : "confirm",
+    locale,
+    confirmedVatType,
+    offerPrice: Number(amount.toFixed(2)),
+    display,
+    decision,
+    messageArgs,
+  };
+}
+
+/** Post one seller's offer/confirmation message for an order; null when the seller's prices aren't usable */
+async function sendOfferToSeller(order, s) {
+  const plan = planOfferForSeller(order, s);
+  if (plan.skipped) return null;
+
+  const offerToken = newOfferToken();
+  const send = plan.kind === "offer" ? sendExternalOfferMessageGateway : sendExternalConfirmationMessageGateway;
+  const { channelId, messageId } = await send({ ...plan.messageArgs, offerToken });
+
+  await registerOffer({
+    offerToken,
+    orderRecId: order.orderRecId,
+    sellerId: s.sellerId,
+    inventoryRecordId: s.inventoryRecordId,
+    channelId,
+    messageId,
+    offerPrice: plan.offerPrice,
+    vatLabel: plan.confirmedVatType,
+    mode: plan.kind,
+    expiresAt: order.expiresAt,
+    orderQty: order.orderQty,
+    wave: order.wave,
+    locale: plan.locale,
+  });
+
+  return { sellerId: s.sellerId, messageId, kind: plan.kind, confirmedVatType: plan.confirmedVatType, wave: order.wave };
+}
+
+/** Dry run: every decision and the exact rendered payloads, without touching Discord or Airtable */
+function previewOffers(order, waves, { waveMode = false } = {}) {
+  return waves.flatMap((sellers, i) => sellers.map(s => {
+    const wave = waveMode ? i + 1 : undefined;
+    const plan = planOfferForSeller(order, s);
+    if (plan.skipped) return { ...plan, wave };
+
+    const build = plan.kind === "offer" ? buildExternalOfferMessage : buildExternalConfirmationMessage;
+    return {
+      sellerId: plan.sellerId,
+      inventoryRecordId: plan.inventoryRecordId,
+      wave,
+      mode: plan.mode,
+      locale: plan.locale,
+      vatLabel: plan.confirmedVatType,  // what a Confirm click would store
+      offerPrice: plan.offerPrice,
+      decision: plan.decision,
+      display: plan.display,
+      payload: build({ ...plan.messageArgs, offerToken: "DRY_RUN" }),
+    };
+  }));
+}
+
+async function sendOffersToSellers(order, sellers) {
+  const results = [];
+  for (const s of sellers) {
+    const r = await sendOfferToSeller(order, s);
+    if (r) results.push(r);
+  }
+  return results;
+}
+
+/* -------------------- Outreach waves -------------------- */
+// Cheapest sellers first; the next wave only goes out when the previous one didn't fill the order in time.
+// Pending waves live in memory: a restart drops waves that were not released yet.
+const WAVE_SIZE_DEFAULT       = Number(process.env.WAVE_SIZE) || 3;
+const WAVE_WINDOW_MIN_DEFAULT = Number(process.env.WAVE_WINDOW_MINUTES) || 10;
+const pendingWaves = new Map(); // orderRecId → { order, waves, next, windowMs, timer }
+
+/**
+ * Explicit `wave` numbers on sellers win; otherwise sellers are ranked by sellerSuggestedRaw
+ * and cut into tiers of `size` (equal prices always share a wave).
+ */
+function buildWaves(sellers, size) {
+  if (sellers.some(s => toNumber(s.wave) != null)) {
+    const byWave = new Map();
+    for (const s of sellers) {
+      const w = toNumber(s.wave) ?? Number.MAX_SAFE_INTEGER; // unnumbered sellers go last
+      if (!byWave.has(w)) byWave.set(w, []);
+      byWave.get(w).push(s);
+    }
+    return [...byWave.keys()].sort((a, b) => a - b).map(k => byWave.get(k));
+  }
+
+  const ranked = [...sellers].sort((a, b) =>
+    (toNumber(a.sellerSuggestedRaw) ?? Infinity) - (toNumber(b.sellerSuggestedRaw) ?? Infinity));
+  const waves = [];
+  let cur = [];
+  for (const s of ranked) {
+    const prev = cur[cur.length - 1];
+    if (cur.length >= size && toNumber(prev.sellerSuggestedRaw) !== toNumber(s.sellerSuggestedRaw)) {
+      waves.push(cur);
+      cur = [];
+    }
+    cur.push(s);
+  }
+  if (cur.length) waves.push(cur);
+  return waves;
+}
+
+function scheduleNextWave(orderRecId) {
+  const state = pendingWaves.get(orderRecId);
+  if (!state) return;
+  if (state.next >= state.waves.length) {
+    pendingWaves.delete(orderRecId);
+    return;
+  }
+  state.timer = setTimeout(() => releaseNextWave(orderRecId).catch(e =>
+    console.error(`wave release error for ${orderRecId}:`, e)), state.windowMs);
+}
+
+async function releaseNextWave(orderRecId) {
+  const state = pendingWaves.get(orderRecId);
+  if (!state) return;
+
+  const status = await getExternalOfferStatus(orderRecId);
+  const expired = state.order.expiresAt && state.order.expiresAt <= new Date();
+  // Multi-quantity orders that are only partially confirmed still need the next wave
+  if (status === "Confirmed" || expired) {
+    console.log(`Waves for ${orderRecId} stopped at ${state.next}/${state.waves.length} (${expired ? "expired" : status})`);
+    pendingWaves.delete(orderRecId);
+    return;
+  }
+
+  const wave = state.next + 1;
+  const sellers = state.waves[state.next];
+  state.next += 1;
+  const sent = await sendOffersToSellers({ ...state.order, wave }, sellers);
+  console.log(`Wave ${wave}/${state.waves.length} for ${orderRecId}: sent ${sent.length}/${sellers.length}`);
+  scheduleNextWave(orderRecId);
+}
+
+function cancelWaves(orderRecId) {
+  const state = pendingWaves.get(orderRecId);
+  if (!state) return 0;
+  clearTimeout(state.timer);
+  pendingWaves.delete(orderRecId);
+  return state.waves.length - state.next;
+}
+
+const handleExternalOffers = async (req, res, { dryRun = false } = {}) => {
   try {
     const p = req.body || {};
-    const orderRecId   = p?.order?.airtableRecordId;
-    const orderHumanId = p?.order?.orderId;
-    const sku          = p?.order?.sku;
-    const size         = p?.order?.size;
-    const sellers      = Array.isArray(p?.sellers) ? p.sellers : [];
-    if (!orderRecId || sellers.length === 0) {
+    const order = {
+      orderRecId:   p?.order?.airtableRecordId,
+      orderHumanId: p?.order?.orderId,
+      sku:          p?.order?.sku,
+      size:         p?.order?.size,
+      expiresAt:    resolveExpiry(p?.order),
+      orderQty:     Math.max(1, Math.floor(toNumber(p?.order?.quantity) || 1)), // pairs wanted
+    };
+    const sellers = Array.isArray(p?.sellers) ? p.sellers : [];
+    if (!order.orderRecId || sellers.length === 0) {
       return res.status(400).json({ error: "Missing order or sellers in payload" });
     }
+    if (order.expiresAt && !Number.isFinite(order.expiresAt.getTime())) {
+      return res.status(400).json({ error: "Invalid order.expiresAt (expected an ISO date)", expiresAt: p.order.expiresAt });
+    }
+    const base = { ok: true, expiresAt: order.expiresAt, quantity: order.orderQty };
+    const skipped = sellers.map(s => planOfferForSeller(order, s)).filter(x => x.skipped);
 
-    const results = [];
-    for (const s of sellers) {
-      const vatTypeRaw        = s.sellerVatType;
-      const sellerCountry     = s.sellerCountry || "";
-      const sellerVatPct      = s.sellerVatRatePct ?? 21;
-      const sellerSuggested   = Number(s.sellerSuggestedRaw);
-      const ourOfferIncl      = Number(s.baseOfferIncl);
-      if (![sellerSuggested, ourOfferIncl].every(n => Number.isFinite(n))) continue;
-
-      const { mode, display, confirmedVatType } = decideModeAndDisplay({
-        vatTypeRaw, sellerCountry, sellerVatPct, sellerSuggestedRaw: sellerSuggested, ourOfferIncl
-      });
+    // Wave mode: `waves: true` or `waves: { size, windowMinutes }`
+    const cfg      = typeof p.waves === "object" && p.waves ? p.waves : {};
+    const size     = Math.max(1, toNumber(cfg.size) || WAVE_SIZE_DEFAULT);
+    const windowMs = Math.max(1, toNumber(cfg.windowMinutes) || WAVE_WINDOW_MIN_DEFAULT) * 60_000;
 
-      if (mode === "offer") {
-        const offerPriceForButton = display.ourAmount;
-        const { channelId, messageId } = await sendExternalOfferMessageGateway({
-          orderRecId,
-          orderHumanId,
-          sellerId: s.sellerId,
-          sellerName: s.sellerName,
-          inventoryRecordId: s.inventoryRecordId,
-          productName: s.productName || null,
-          sku,
-          size,
-          yourLabel: display.yourLabel,
-          yourValue: `${euro(display.yourAmount)} ${display.vatTagYour}`,
-          ourLabel:  display.ourLabel,
-          ourValue:  `${euro(display.ourAmount)} ${display.vatTagOur}`,
-          offerPrice: Number(offerPriceForButton.toFixed(2)),
-          vatLabel: confirmedVatType,
-        });
-
-        await logOfferMessage({
-          orderRecId,
-          sellerId: s.sellerId,
-          inventoryRecordId: s.inventoryRecordId,
-          channelId,
-          messageId,
-          offerPrice: Number(display.ourAmount.toFixed(2)),
-        });
+    if (dryRun || p.dryRun === true) {
+      const waves = p.waves ? buildWaves(sellers, size) : [sellers];
+      return res.json({ ...base, dryRun: true, sellers: previewOffers(order, waves, { waveMode: !!p.waves }) });
+    }
 
-        results.push({ sellerId: s.sellerId, messageId, kind: "offer", confirmedVatType });
-
-      } else {
-        const confirmedDisplayAmount = display.yourAmount;
-        const { channelId, messageId } = await sendExternalConfirmationMessageGateway({
-          orderRecId,
-          orderHumanId,
-          sellerId: s.sellerId,
-          sellerName: s.sellerName,
-          inventoryRecordId: s.inventoryRecordId,
-          productName: s.productName || null,
-          sku,
-          size,
-          sellingLine: `Selling Price ${euro(confirmedDisplayAmount)} ${display.vatTagYour}`,
-          confirmPrice: Number(confirmedDisplayAmount.toFixed(2)),
-          vatLabel: confirmedVatType,
-        });
+    if (p.waves) {
+      const waves = buildWaves(sellers, size);
 
-        await logOfferMessage({
-          orderRecId,
-          sellerId: s.sellerId,
-          inventoryRecordId: s.inventoryRecordId,
-          channelId,
-          messageId,
-          offerPrice: Number(confirmedDisplayAmount.toFixed(2)),
-        });
+      cancelWaves(order.orderRecId); // a re-send replaces any earlier schedule
+      const results = await sendOffersToSellers({ ...order, wave: 1 }, waves[0]);
+      pendingWaves.set(order.orderRecId, { order, waves, next: 1, windowMs });
+      scheduleNextWave(order.orderRecId);
 
-        results.push({ sellerId: s.sellerId, messageId, kind: "confirm", confirmedVatType });
-      }
+      return res.json({
+        ...base, sentCount: results.length, sent: results, skipped,
+        waves: waves.map(w => w.map(s => s.sellerId)), windowMinutes: windowMs / 60_000,
+      });
     }
 
-    res.json({ ok: true, sentCount: results.length, sent: results });
+    const results = await sendOffersToSellers(order, sellers);
+    res.json({ ...base, sentCount: results.length, sent: results, skipped });
   } catch (e) {
     console.error("external-offers error:", e);
     res.status(500).json({ error: e.message });
   }
-});
+};
+
+app.post("/external-offers", (req, res) => handleExternalOffers(req, res));
+// Same payload as /external-offers, always a dry run
+app.post("/external-offers/preview", (req, res) => handleExternalOffers(req, res, { dryRun: true }));
+
+/* -------------------- Offer lifecycle -------------------- */
+// Rows without a Status predate lifecycle tracking and count as Sent
+const isOpenOffer = (m) => !m.status || m.status === "Sent";
+
+/**
+ * Disable a seller's offer message and record the new Status on its Offer Messages row.
+ * Responses (Accepted / Denied) are always written; closing statuses only replace an open
+ * row, so e.g. an Accepted offer stays Accepted when /disable-offers runs afterwards.
+ * The status write is best-effort; a failed Discord edit is thrown like before.
+ */
+async function closeOfferMessage(m, note, { status, reason, responderId, denyReason, denyNote } = {}) {
+  const isResponse = status === "Accepted" || status === "Denied";
+  const [edit, log] = await Promise.allSettled([
+    disableMessageButtonsGateway(m.channelId, m.messageId, note, m.locale),
+    m.id && (isResponse || isOpenOffer(m))
+      ? setOfferMessageStatus(m.id, { status, reason, responderId, denyReason, denyNote })
+      : null,
+  ]);
+  if (log.status === "rejected") console.warn(`offer status warn for ${m.id}:`, log.reason?.message);
+  if (edit.status === "rejected") throw edit.reason;
+}
+
+/* -------------------- Close all offers -------------------- */
+/** Disable every offer message of an order and drop its pending waves (/disable-offers, /close-order) */
+async function closeOrderOffers(orderRecId, reason) {
+  const cancelledWaves = cancelWaves(orderRecId);
+  const msgs = await listOfferMessagesForOrder(orderRecId);
+  await Promise.allSettled(
+    msgs.map(m =>
+      closeOfferMessage(m, t(m.locale, reason ? "note.closed" : "note.closedNoReason", { reason }), {
+        status: "Closed",
+        reason: reason || "Closed",
+      })
+    )
+  );
+  return { disabled: msgs.length, cancelledWaves };
+}
 
-/* -------------------- Close all offers (unchanged) -------------------- */
 app.post("/disable-offers", async (req, res) => {
   try {
     const { orderRecId, reason } = req.body || {};
     if (!orderRecId) return res.status(400).json({ error: "Missing orderRecId" });
 
-    const msgs = await listOfferMessagesForOrder(orderRecId);
-    await Promise.allSettled(
-      msgs.map(m =>
-        disableMessageButtonsGateway(
-          m.channelId,
-          m.messageId,
-          `✅ ${reason || "Closed"}. Offers disabled.`
-        )
-      )
-    );
-
-    res.json({ ok: true, disabled: msgs.length });
+    const { disabled, cancelledWaves } = await closeOrderOffers(orderRecId, reason);
+    res.json({ ok: true, disabled, cancelledWaves });
   } catch (e) {
     console.error("disable-offers error:", e);
     res.status(500).json({ error: e.message });
   }
 });
 
-/* -------------------- Button interactions (unchanged) -------------------- */
-await initDiscord();
-await onButtonInteraction(async ({ action, orderRecId, sellerId, inventoryRecordId, offerPrice, vatLabel, channelId, messageId }) => {
+/* -------------------- Deny analytics -------------------- */
+// Deny reasons per SKU, brand and seller, to tune buyer pricing. `?since=` (ISO date) limits
+// the window by Responded At; denials from before the reason menu count as "Unspecified".
+const UNSPECIFIED = "Unspecified";
+
+function tallyDenials(rows, keyOf) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row) || UNSPECIFIED;
+    const g = groups.get(key) || { key, total: 0, reasons: {} };
+    g.total += 1;
+    g.reasons[row.reason] = (g.reasons[row.reason] || 0) + 1;
+    groups.set(key, g);
+  }
+  return [...groups.values()].sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+}
+
+app.get("/analytics/deny-reasons", async (req, res) => {
   try {
-    if (action === "deny_ext") {
-      await disableMessageButtonsGateway(channelId, messageId, `❌ ${sellerId} denied / not available.`);
-      return;
+    const since = req.query.since ? new Date(String(req.query.since)) : null;
+    if (since && !Number.isFinite(since.getTime())) return res.status(400).json({ error: "Invalid since" });
+
+    const denied = (await listOfferMessagesByStatus(["Denied"]))
+      .filter(m => !since || (m.respondedAt && m.respondedAt >= since));
+    const deals = new Map((await listExternalDeals(denied.map(m => m.orderRecId))).map(d => [d.id, d]));
+    const rows = denied.map(m => {
+      const deal = deals.get(m.orderRecId);
+      return {
+        reason: m.denyReason || UNSPECIFIED,
+        sku: deal?.sku || deal?.productName,
+        brand: deal?.brand,
+        seller: m.sellerId,
+      };
+    });
+
+    res.json({
+      ok: true,
+      since: since?.toISOString() || null,
+      total: rows.length,
+      reasons: tallyDenials(rows, () => "all")[0]?.reasons || {},
+      bySku: tallyDenials(rows, r => r.sku),
+      byBrand: tallyDenials(rows, r => r.brand),
+      bySeller: tallyDenials(rows, r => r.seller),
+    });
+  } catch (e) {
+    console.error("deny-reasons error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------- Cancel: release reserved inventory -------------------- */
+app.post("/release-reservations", async (req, res) => {
+  try {
+    const { orderRecId, reason } = req.body || {};
+    if (!orderRecId) return res.status(400).json({ error: "Missing orderRecId" });
+
+    const released = await releaseReservations(orderRecId, reason || "Cancelled");
+    res.json({ ok: true, released });
+  } catch (e) {
+    console.error("release-reservations error:", e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* -------------------- Confirmation (button + accepted counter) -------------------- */
+/**
+ * First confirm wins: claims are serialized per order and Offer Status is re-read
+ * inside the lock, so exactly one seller ends up on the External record.
+ * Multi-quantity orders (orderQty > 1) take one unit per confirmation until filled.
+ * Each confirmed unit reserves its Inventory row first (lib/reservations.js).
+ * Returns { confirmed: true, filled, quantity } or
+ * { confirmed: false, reason: "taken" | "duplicate" | "unavailable" | "vatMismatch" }.
+ */
+async function confirmExternalOffer(args) {
+  return withLock(`order:${args.orderRecId}`, async () => {
+    const status = await getExternalOfferStatus(args.orderRecId);
+    if (status === "Confirmed") {
+      // Re-read the clicked row: a second click by the seller who just won is a duplicate, not "taken"
+      const current = (args.offerToken && await getOfferByToken(args.offerToken))
+        || await findOfferMessage({ channelId: args.channelId, messageId: args.messageId });
+      if (current?.status === "Accepted") return { confirmed: false, reason: "duplicate" };
+      await closeOfferMessage(current || offerMessageOf(args), t(args.locale, "note.taken"), {
+        status: "Superseded",
+        reason: "Taken by another seller",
+        responderId: args.confirmedByDiscordUserId,
+      }).catch(e => console.warn("taken note warn:", e.message));
+      return { confirmed: false, reason: "taken" };
     }
-    if (action !== "confirm_ext") return;
-
-    const confirmedSellerRecId = await getInventoryLinkedSellerId(inventoryRecordId);
-
-        // --- NEW: If confirmed seller is NL, force VAT21 and convert price if coming from VAT0 ---
-        let finalVatLabel = vatLabel;
-        let finalPrice    = offerPrice;
-
-        try {
-          const invCountry = await getInventorySellerCountry(inventoryRecordId);
-          if (isNL(invCountry) && (vatLabel || "").toUpperCase() !== "MARGIN") {
-            // We always store confirmations from NL sellers as VAT21
-            finalVatLabel = "VAT21";
-
-            // If the button carried a VAT0 amount (net), convert it to incl-21%
-            if ((vatLabel || "").toUpperCase() === "VAT0") {
-              finalPrice = Number((Number(offerPrice || 0) * 1.21).toFixed(2));
-            }
-          }
-        } catch (_) {
-          // If we can't read the country, we just proceed with the original label/price.
-        }
+    if ((args.orderQty || 1) > 1) return writeUnitConfirmation(args);
+    return writeConfirmation(args);
+  });
+}
 
-        await setExternalConfirmation({
-          orderRecId,
-          confirmedPrice: finalPrice,
-          confirmedSellerRecId,
-          statusName: "Confirmed",
-          offerVatTypeLabel: finalVatLabel,   // enforce VAT21 for NL sellers
-          dealStatusName: "Closing",
-          confirmedInventoryRecId: inventoryRecordId,
-        });
+/**
+ * Reserve the confirmed unit; an empty Inventory row means the pair was already confirmed
+ * elsewhere or sold: refuse, tell staff. Returns the reservation id or null.
+ */
+async function reserveForConfirmation({ orderRecId, offerToken, sellerId, inventoryRecordId }) {
+  const r = await reserveInventory({ inventoryId: inventoryRecordId, orderRecId, offerToken });
+  if (r.reserved) return r.id;
+
+  const heldBy = r.heldBy.length ? ` Reserved for: ${[...new Set(r.heldBy)].join(", ")}.` : "";
+  console.warn(`Oversell attempt: ${sellerId} inventory ${inventoryRecordId} for order ${orderRecId} (qty ${r.quantity})`);
+  await sendStaffAlert(
+    `🚫 Oversell attempt blocked: **${sellerId}** confirmed order \`${orderRecId}\` but inventory ` +
+    `\`${inventoryRecordId}\` has no free units (quantity ${r.quantity}).${heldBy}`
+  ).catch(e => console.warn("oversell alert warn:", e.message));
+  return null;
+}
 
+// Undo the reservation when the confirmation write after it failed, then rethrow
+const releaseOnFailure = (reservationId, inventoryId) => (e) =>
+  releaseReservation({ id: reservationId, inventoryId }, "Confirmation failed")
+    .catch(err => console.warn("reservation release warn:", err.message))
+    .then(() => { throw e; });
+
+// The clicked offer as closeOfferMessage expects it, for rows just claimed under the order lock (still open)
+const offerMessageOf = ({ offerMsgId, channelId, messageId, locale }) => ({ id: offerMsgId, channelId, messageId, locale });
+
+/**
+ * Domestic (NL) sellers are always stored as VAT21; a VAT0 (net) amount is converted to incl. (see lib/pricing.js).
+ * A failed Seller Country read throws: confirming at an unverified VAT basis would store the wrong price.
+ */
+async function resolveConfirmedPriceAndVat({ inventory, inventoryRecordId, price, vatLabel }) {
+  const invCountry = await inventory.sellerCountry(inventoryRecordId);
+  const r = applyDomesticVatRule({ sellerCountry: invCountry, price, vatLabel });
+  return { finalPrice: r.price, finalVatLabel: r.vatLabel };
+}
 
-    await disableMessageButtonsGateway(channelId, messageId, `✅ Confirmed by ${sellerId}.`);
+async function writeConfirmation({
+  orderRecId, offerMsgId, offerToken, sellerId, inventoryRecordId, price, vatLabel, channelId, messageId, locale,
+  confirmedSellerRecId, confirmedByDiscordUserId, inventory = createInventoryAccessor(),
+}) {
+  confirmedSellerRecId = confirmedSellerRecId || await inventory.linkedSellerId(inventoryRecordId);
+  const { finalPrice, finalVatLabel } = await resolveConfirmedPriceAndVat({ inventory, inventoryRecordId, price, vatLabel });
+
+  const reservationId = await reserveForConfirmation({ orderRecId, offerToken, sellerId, inventoryRecordId });
+  if (!reservationId) return { confirmed: false, reason: "unavailable" };
+
+  await setExternalConfirmation({
+    orderRecId,
+    confirmedPrice: finalPrice,
+    confirmedSellerRecId,
+    statusName: "Confirmed",
+    offerVatTypeLabel: finalVatLabel,   // enforce VAT21 for NL sellers
+    dealStatusName: "Closing",
+    confirmedInventoryRecId: inventoryRecordId,
+    confirmedByDiscordUserId,
+  }).catch(releaseOnFailure(reservationId, inventoryRecordId));
+
+  // The confirmation is written at this point; message edits are best-effort
+  await closeOfferMessage(offerMessageOf({ offerMsgId, channelId, messageId, locale }), t(locale, "note.confirmed", { seller: sellerId }), {
+    status: "Accepted",
+    responderId: confirmedByDiscordUserId,
+  }).catch(e => console.warn("confirm note warn:", e.message));
+
+  const msgs = await listOfferMessagesForOrder(orderRecId);
+  await Promise.allSettled(
+    msgs
+      .filter(m => !(m.channelId === channelId && m.messageId === messageId))
+      .map(m => closeOfferMessage(m, t(m.locale, "note.confirmedElsewhere"), {
+        status: "Superseded",
+        reason: `Confirmed by ${sellerId}`,
+      }))
+  );
+  return { confirmed: true, filled: 1, quantity: 1 };
+}
+
+/** One unit of a multi-quantity order; other offers stay open until the quantity is filled */
+async function writeUnitConfirmation({
+  orderRecId, offerMsgId, offerToken, orderQty, sellerId, inventoryRecordId, price, vatLabel, channelId, messageId, locale,
+  confirmedSellerRecId, confirmedByDiscordUserId, inventory = createInventoryAccessor(),
+}) {
+  const units = await listExternalConfirmations(orderRecId);
+  if (offerToken && units.some(u => u.offerToken === offerToken)) return { confirmed: false, reason: "duplicate" };
+  if (units.length >= orderQty) return { confirmed: false, reason: "taken" };
+
+  confirmedSellerRecId = confirmedSellerRecId || await inventory.linkedSellerId(inventoryRecordId);
+  const { finalPrice, finalVatLabel } = await resolveConfirmedPriceAndVat({ inventory, inventoryRecordId, price, vatLabel });
+
+  // One Sale per order is booked under one VAT type (finalize), so every unit must share the first one's
+  const orderVatLabel = units[0]?.vatLabel;
+  if (orderVatLabel && orderVatLabel !== finalVatLabel) {
+    console.warn(`Refused unit for ${orderRecId}: ${sellerId} is ${finalVatLabel}, the order's units are ${orderVatLabel}`);
+    await sendStaffAlert(
+      `⚠️ **${sellerId}** confirmed a pair of order \`${orderRecId}\` as ${finalVatLabel || "—"}, ` +
+      `but its confirmed units are ${orderVatLabel}. The pair was not added.`
+    ).catch(e => console.warn("vat mismatch alert warn:", e.message));
+    return { confirmed: false, reason: "vatMismatch", vatLabel: orderVatLabel };
+  }
 
+  const reservationId = await reserveForConfirmation({ orderRecId, offerToken, sellerId, inventoryRecordId });
+  if (!reservationId) return { confirmed: false, reason: "unavailable" };
+
+  await createExternalConfirmation({
+    orderRecId,
+    offerToken,
+    sellerRecId: confirmedSellerRecId,
+    inventoryRecId: inventoryRecordId,
+    price: finalPrice,
+    vatLabel: finalVatLabel,
+    confirmedByDiscordUserId,
+  }).catch(releaseOnFailure(reservationId, inventoryRecordId));
+
+  const filled = units.length + 1;
+  const isFull = filled >= orderQty;
+  await setExternalOfferStatus(orderRecId, isFull
+    ? { statusName: "Confirmed", dealStatusName: "Closing",
+        confirmedSellerRecIds: [...units.map(u => u.sellerRecId), confirmedSellerRecId].filter(Boolean) }
+    : { statusName: "Partially Confirmed" });
+
+  await closeOfferMessage(
+    offerMessageOf({ offerMsgId, channelId, messageId, locale }),
+    t(locale, "note.confirmedUnit", { seller: sellerId, filled, quantity: orderQty }),
+    { status: "Accepted", responderId: confirmedByDiscordUserId },
+  ).catch(e => console.warn("confirm note warn:", e.message));
+
+  if (isFull) {
+    const confirmedTokens = new Set([...units.map(u => u.offerToken), offerToken]);
     const msgs = await listOfferMessagesForOrder(orderRecId);
     await Promise.allSettled(
       msgs
-        .filter(m => !(m.channelId === channelId && m.messageId === messageId))
-        .map(m => disableMessageButtonsGateway(m.channelId, m.messageId, "✅ Confirmed by another seller. Offers closed."))
+        .filter(m => !confirmedTokens.has(m.token) && !(m.channelId === channelId && m.messageId === messageId))
+        .map(m => closeOfferMessage(m, t(m.locale, "note.filled"), {
+          status: "Superseded",
+          reason: "Order filled",
+        }))
     );
+  }
+  return { confirmed: true, filled, quantity: orderQty };
+}
+
+/* -------------------- Counter offers -------------------- */
+// Staff actions (counter review, staff slash commands) need one of DISCORD_STAFF_ROLE_IDS; unset = nobody
+const STAFF_ROLE_IDS = String(process.env.DISCORD_STAFF_ROLE_IDS || "").split(/[\s,]+/).filter(Boolean);
+const isStaff = (clicker) => STAFF_ROLE_IDS.some(r => clicker?.roleIds?.includes(r));
+
+/**
+ * One counter at a time per offer: a new counter while one is Pending is refused, so the staff
+ * review message always shows the price an Accept would confirm. Serialized per offer and
+ * re-read inside the lock, so two quick submits can't both pass the check.
+ */
+async function handleCounterSubmit(offer, { counterPrice, channelId, messageId }) {
+  if (counterPrice == null) {
+    return sellerReply(offer.locale, "counterInvalid");
+  }
+  if (!offer.token) throw new Error(`Offer ${offer.id} has no token; counters need a re-sent offer`);
+
+  return withLock(`counter:${offer.token}`, async () => {
+    const current = await getOfferByToken(offer.token);
+    if (current?.counterStatus === "Pending") {
+      return sellerReply(offer.locale, "counterPending", { amount: formatMoney(current.counterPrice, offer.locale) });
+    }
+    return submitCounter(offer, { counterPrice, channelId, messageId });
+  });
+}
+
+async function submitCounter(offer, { counterPrice, channelId, messageId }) {
+  await recordCounterOffer(offer.id, { counterPrice });
+  await sendCounterOfferStaffMessage({
+    offerToken: offer.token,
+    orderRecId: offer.orderRecId,
+    sellerId: offer.sellerId,
+    offerPrice: offer.offerPrice,
+    counterPrice,
+    vatLabel: offer.vatLabel,
+  });
+  const note = t(offer.locale, "note.counterSent", { amount: formatMoney(counterPrice, offer.locale), seller: offer.sellerId });
+  await updateMessageNote(channelId, messageId, note)
+    .catch(e => console.warn("counter note warn:", e.message));
+  return sellerReply(offer.locale, "counterSent", { amount: formatMoney(counterPrice, offer.locale) });
+}
+
+// channelId/messageId here are the staff review message; the seller's message lives on the offer
+async function handleCounterDecision(offer, { action, clicker, channelId, messageId }) {
+  const { sellerId, counterPrice } = offer;
+  if (!isStaff(clicker)) return { reply: "⛔ Staff only." };
+  if (offer.counterStatus && offer.counterStatus !== "Pending") {
+    await disableMessageButtonsGateway(channelId, messageId, `ℹ️ Counter already ${offer.counterStatus.toLowerCase()}.`)
+      .catch(e => console.warn("counter note warn:", e.message));
+    return { reply: `ℹ️ This counter was already ${offer.counterStatus.toLowerCase()}.` };
+  }
+
+  // The offer may have been closed (/close-order, denied, taken) or expired since the counter came in
+  if (!isOpenOffer(offer) || isExpired(offer)) {
+    const state = isOpenOffer(offer) ? "Expired" : offer.status;
+    await setCounterOfferStatus(offer.id, "Rejected");
+    await disableMessageButtonsGateway(channelId, messageId, `ℹ️ Offer is ${state.toLowerCase()}. Counter from ${sellerId} closed.`)
+      .catch(e => console.warn("counter note warn:", e.message));
+    return { reply: `ℹ️ The offer is ${state.toLowerCase()}; the counter was closed without confirming.` };
+  }
+
+  if (action === "counter_reject") {
+    await setCounterOfferStatus(offer.id, "Rejected");
+    await disableMessageButtonsGateway(channelId, messageId, `❌ Counter ${euro(counterPrice)} from ${sellerId} rejected.`);
+    await updateMessageNote(
+      offer.channelId, offer.messageId,
+      t(offer.locale, "note.counterRejected", { amount: formatMoney(counterPrice, offer.locale) })
+    ).catch(e => console.warn("counter reject note warn:", e.message));
+    return { reply: `❌ Counter from ${sellerId} rejected; the seller has been told.` };
+  }
+
+  const { confirmed, reason } = await confirmExternalOffer({
+    orderRecId: offer.orderRecId,
+    offerMsgId: offer.id,
+    offerToken: offer.token,
+    orderQty: offer.orderQty,
+    sellerId,
+    inventoryRecordId: offer.inventoryRecordId,
+    price: counterPrice,
+    vatLabel: offer.vatLabel,
+    channelId: offer.channelId,
+    messageId: offer.messageId,
+    locale: offer.locale,
+    confirmedByDiscordUserId: clicker?.userId, // staff member who accepted
+  });
+  // A double-click on Accept: the first click confirmed and is marking the counter Accepted
+  if (!confirmed && reason === "duplicate") return { reply: `ℹ️ ${sellerId} is already confirmed on this order.` };
+  if (!confirmed) {
+    const why = reason === "unavailable" ? `${sellerId} has no free units left in inventory`
+      : reason === "vatMismatch" ? `${sellerId}'s VAT type differs from the order's confirmed units`
+      : "Order already confirmed with another seller";
+    await setCounterOfferStatus(offer.id, "Rejected");
+    await disableMessageButtonsGateway(channelId, messageId, `ℹ️ ${why}. Counter from ${sellerId} closed.`)
+      .catch(e => console.warn("counter note warn:", e.message));
+    return { reply: `ℹ️ ${why}; the counter was closed.` };
+  }
+  await setCounterOfferStatus(offer.id, "Accepted");
+  await disableMessageButtonsGateway(channelId, messageId, `✅ Counter ${euro(counterPrice)} from ${sellerId} accepted.`)
+    .catch(e => console.warn("counter note warn:", e.message));
+  return { reply: `✅ Counter accepted: ${sellerId} confirmed at ${euro(counterPrice)}.` };
+}
+
+/* -------------------- Offer expiry -------------------- */
+// Answered offers (Accepted, Denied, Closed, ...) keep their status and their message note;
+// only the Expired flag is set so the sweep skips them
+async function expireOfferMessage(offerMsg, { editMessage = true } = {}) {
+  if (editMessage && isOpenOffer(offerMsg)) {
+    await disableMessageButtonsGateway(offerMsg.channelId, offerMsg.messageId, t(offerMsg.locale, "note.expired"), offerMsg.locale)
+      .catch(e => console.warn(`expire edit warn for ${offerMsg.messageId}:`, e.message));
+  }
+  await markOfferMessageExpired(offerMsg.id, { close: isOpenOffer(offerMsg) });
+}
+
+let expirySweepRunning = false;
+async function sweepExpiredOffers() {
+  if (expirySweepRunning) return;
+  expirySweepRunning = true;
+  try {
+    const due = await listDueExpiredOfferMessages();
+    const byOrder = new Map();
+    for (const m of due) {
+      if (!byOrder.has(m.orderRecId)) byOrder.set(m.orderRecId, []);
+      byOrder.get(m.orderRecId).push(m);
+    }
+    for (const [orderRecId, msgs] of byOrder) {
+      // Confirmed orders already closed their messages, also rows whose status write failed
+      const status = await getExternalOfferStatus(orderRecId).catch(() => null);
+      const editMessage = status !== "Confirmed";
+      await Promise.allSettled(msgs.map(m => expireOfferMessage(m, { editMessage })));
+    }
   } catch (e) {
-    console.error("Interaction handling error:", e);
+    console.error("expiry sweep error:", e);
+  } finally {
+    expirySweepRunning = false;
+  }
+}
+
+const EXPIRY_SWEEP_INTERVAL_MS = Number(process.env.EXPIRY_SWEEP_INTERVAL_MS) || 60_000;
+setInterval(sweepExpiredOffers, EXPIRY_SWEEP_INTERVAL_MS).unref(); // the HTTP server keeps the process up
+
+// Reservations of deals that never got finalized free their stock again (RESERVATION_TTL_HOURS)
+async function sweepExpiredReservations() {
+  try {
+    const released = await releaseExpiredReservations();
+    if (released.length) {
+      const orders = [...new Set(released.map(r => r.orderRecId))].join(", ");
+      await sendStaffAlert(`⌛ ${released.length} inventory reservation(s) expired and were released (orders: ${orders}).`)
+        .catch(e => console.warn("reservation alert warn:", e.message));
+    }
+  } catch (e) {
+    console.error("reservation sweep error:", e);
+  }
+}
+setInterval(sweepExpiredReservations, EXPIRY_SWEEP_INTERVAL_MS).unref();
+
+/* -------------------- Seller binding -------------------- */
+// "false" lets sellers without a configured Discord user/role through (migration period)
+const REQUIRE_SELLER_BINDING = String(process.env.REQUIRE_SELLER_BINDING ?? "true").toLowerCase() !== "false";
+
+/** Is the clicking Discord user bound to the offer's seller (user ID or seller role)? */
+async function isClickerBoundToSeller(clicker, sellerRecId) {
+  const { userIds, roleIds } = await getSellerDiscordBinding(sellerRecId);
+  if (!userIds.length && !roleIds.length) {
+    if (REQUIRE_SELLER_BINDING) return false;
+    console.warn(`Seller ${sellerRecId} has no Discord binding; allowing ${clicker?.userId}`);
+    return true;
+  }
+  return userIds.includes(clicker?.userId) || roleIds.some(r => clicker?.roleIds?.includes(r));
+}
+
+/* -------------------- Button interactions -------------------- */
+const SELLER_ACTIONS = new Set(["confirm_ext", "deny_ext", "counter_submit"]);
+
+// Replies are shown only to the clicking user, in the offer's locale ("reply.*" in lib/i18n.js);
+// thrown errors become "staff notified" (see lib/discord.js)
+const sellerReply = (locale, key, vars) => ({ reply: t(locale, `reply.${key}`, vars) });
+
+const CLOSED_REPLY = {
+  Accepted:   "duplicate",
+  Denied:     "denied",
+  Superseded: "taken",
+  Expired:    "expired",
+};
+
+await initDiscord();
+await onButtonInteraction(async (evt) => {
+  const { action, offerToken, clicker, channelId, messageId } = evt;
+
+  // Price, VAT, seller and inventory always come from our own record, never from the button
+  const offer = offerToken
+    ? await getOfferByToken(offerToken)
+    : await findOfferMessage({ channelId, messageId }); // legacy buttons without a token
+  if (!offer) {
+    console.warn(`Interaction ${action}: unknown offer (token=${offerToken}, message=${messageId})`);
+    return sellerReply(evt.locale, "unknown");
+  }
+
+  if (action === "counter_accept" || action === "counter_reject") return handleCounterDecision(offer, evt);
+  if (!SELLER_ACTIONS.has(action)) return sellerReply(offer.locale, "unknown");
+
+  // Buttons can outlive their offer when a Discord edit failed; the row's Status decides
+  if (!isOpenOffer(offer)) {
+    return sellerReply(offer.locale, CLOSED_REPLY[offer.status] || "unknown");
   }
+
+  // Reject seller clicks after expiry, even if the sweep could not edit the message
+  if (isExpired(offer)) {
+    await expireOfferMessage(offer);
+    return sellerReply(offer.locale, "expired");
+  }
+
+  if (!offer.inventoryRecordId) return sellerReply(offer.locale, "unusable");
+  // One Inventory read per click: Linked Seller (binding check, confirmation) and Seller Country share it
+  const inventory = createInventoryAccessor();
+  const sellerRecId = await inventory.linkedSellerId(offer.inventoryRecordId);
+  if (!(await isClickerBoundToSeller(clicker, sellerRecId))) {
+    console.warn(`Refused ${action} on ${offer.id}: Discord user ${clicker?.userId} is not bound to seller ${offer.sellerId}`);
+    return sellerReply(offer.locale, "notYours", { seller: offer.sellerId });
+  }
+
+  if (action === "deny_ext") {
+    // Picked from the reason menu (legacy buttons deny without one); stored for /analytics/deny-reasons
+    const { denyReason = null, denyNote = null } = evt;
+    const why = denyReason === "Other" && denyNote ? denyNote : denyReason && t(offer.locale, `deny.${denyReason}`);
+    const note = why
+      ? t(offer.locale, "note.denied", { seller: offer.sellerId, reason: why })
+      : t(offer.locale, "note.deniedNoReason", { seller: offer.sellerId });
+    await closeOfferMessage(offer, note, {
+      status: "Denied",
+      responderId: clicker?.userId,
+      denyReason,
+      denyNote,
+    });
+    return sellerReply(offer.locale, "denied");
+  }
+  if (action === "counter_submit") return handleCounterSubmit(offer, evt);
+
+  if (offer.offerPrice == null) return sellerReply(offer.locale, "unusable");
+  const { confirmed, reason, filled, quantity, vatLabel } = await confirmExternalOffer({
+    orderRecId: offer.orderRecId,
+    offerMsgId: offer.id,
+    offerToken: offer.token,
+    orderQty: offer.orderQty,
+    sellerId: offer.sellerId,
+    inventoryRecordId: offer.inventoryRecordId,
+    price: offer.offerPrice,
+    vatLabel: offer.vatLabel,
+    channelId, messageId,
+    locale: offer.locale,
+    confirmedSellerRecId: sellerRecId,
+    confirmedByDiscordUserId: clicker?.userId,
+    inventory,
+  });
+  if (!confirmed) return sellerReply(offer.locale, reason || "taken", { vatType: vatLabel });
+  return quantity > 1
+    ? sellerReply(offer.locale, "confirmedUnits", { filled, quantity })
+    : sellerReply(offer.locale, "confirmed");
 });
 
+/* -------------------- Seller slash commands -------------------- */
+// Scoped to the Sellers bound to the invoking Discord user (same binding as button clicks)
+const REPLY_MAX = 2000; // characters in one Discord message
+
+/** `locale` only translates the "…and N more" tail; staff lists leave it out (English) */
+function listReply(title, lines, emptyReply, locale) {
+  if (!lines.length) return { reply: emptyReply };
+  // Add lines while they fit, keeping room for the "…and N more" tail
+  const more = (n) => n ? `\n${t(locale, "list.more", { count: n })}` : "";
+  let reply = title, shown = 0;
+  for (const line of lines) {
+    const next = `${reply}\n${line}`;
+    if (next.length + more(lines.length - shown - 1).length > REPLY_MAX) break;
+    reply = next;
+    shown++;
+  }
+  return { reply: reply + more(lines.length - shown) };
+}
+
+/** Offer Messages rows in these statuses sent under one of the sellers' Seller IDs */
+async function offersOfSellers(sellers, statuses) {
+  return listOfferMessagesOfSellers(sellers.map(s => s.sellerId).filter(Boolean), statuses);
+}
+
+// The seller's stored language (Offer Messages) wins over the Discord client's locale
+const rowsLocale = (rows, locale) => rows.find(r => r.locale)?.locale || locale;
+
+async function handleMyOffers({ clicker, locale: clientLocale }) {
+  const sellers = await findSellersForDiscordUser(clicker || {});
+  if (!sellers.length) return sellerReply(clientLocale, "notBound");
+
+  const offers = (await offersOfSellers(sellers, ["Sent"])).filter(o => !isExpired(o));
+  const locale = rowsLocale(offers, clientLocale);
+  return listReply(t(locale, "list.offersTitle", { count: offers.length }), offers.map(o => {
+    const kind = t(locale, o.mode === "confirm" ? "list.confirmRequest" : "list.offer");
+    const vat = o.vatLabel ? ` (${o.vatLabel})` : "";
+    const expires = o.expiresAt ? ` · ${t(locale, "list.expires")} <t:${Math.floor(o.expiresAt.getTime() / 1000)}:R>` : "";
+    return `• ${kind} ${formatMoney(o.offerPrice, locale)}${vat}${expires} · ` +
+      `[${t(locale, "list.open")}](${messageUrl(o.channelId, o.messageId)})`;
+  }), t(locale, "list.offersEmpty"), locale);
+}
+
+async function handleMyDeals({ clicker, locale: clientLocale }) {
+  const sellers = await findSellersForDiscordUser(clicker || {});
+  if (!sellers.length) return sellerReply(clientLocale, "notBound");
+
+  const accepted = (await offersOfSellers(sellers, ["Accepted"]))
+    .sort((a, b) => (b.respondedAt?.getTime() || 0) - (a.respondedAt?.getTime() || 0));
+  const deals = new Map((await listExternalDeals(accepted.map(o => o.orderRecId))).map(d => [d.id, d]));
+
+  const locale = rowsLocale(accepted, clientLocale);
+  return listReply(t(locale, "list.dealsTitle", { count: accepted.length }), accepted.map(o => {
+    const deal = deals.get(o.orderRecId);
+    const pair = [deal?.productName, deal?.size].filter(Boolean).join(" · ") || deal?.externalOrderId || o.orderRecId;
+    const price = o.counterStatus === "Accepted" ? o.counterPrice : o.offerPrice;
+    const status = deal?.dealStatus || deal?.offerStatus || t(locale, "list.unknownStatus");
+    return `• ${pair} · ${formatMoney(price, locale)} · **${status}** · ` +
+      `[${t(locale, "list.message")}](${messageUrl(o.channelId, o.messageId)})`;
+  }), t(locale, "list.dealsEmpty"), locale);
+}
+
+/* -------------------- Staff slash commands -------------------- */
+const offerLine = (m) => {
+  const kind = m.mode === "confirm" ? "confirm" : "offer";
+  const vat = m.vatLabel ? ` (${m.vatLabel})` : "";
+  const status = isOpenOffer(m) && isExpired(m) ? "Expired" : m.status || "Sent";
+  const by = m.responderId ? ` by <@${m.responderId}>` : "";
+  const when = m.respondedAt ? ` <t:${Math.floor(m.respondedAt.getTime() / 1000)}:R>` : "";
+  const reason = m.closeReason && m.closeReason !== status ? m.closeReason : "";
+  const why = reason ? ` (${reason.length > 60 ? `${reason.slice(0, 59)}…` : reason})` : "";
+  const counter = m.counterPrice != null ? ` · counter ${euro(m.counterPrice)} ${m.counterStatus || ""}`.trimEnd() : "";
+  // The status links to the message; a separate "[message](…)" made every line ~15 characters longer
+  return `• ${m.sellerId || "?"} · ${kind} ${euro(m.offerPrice)}${vat} · ` +
+    `[**${status}**](${messageUrl(m.channelId, m.messageId)})${by}${when}${why}${counter}`;
+};
+
+const sameSeller = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+async function handleOrderStatus({ options }) {
+  const { order: orderRecId, seller } = options;
+  const [all, [deal]] = await Promise.all([listOfferMessagesForOrder(orderRecId), listExternalDeals([orderRecId])]);
+  if (!deal && !all.length) return { reply: `⚠️ No order or offers found for \`${orderRecId}\`.` };
+
+  // Open offers first so a long order still shows what can be acted on before the list is cut
+  const live = (m) => isOpenOffer(m) && !isExpired(m);
+  const msgs = all.filter(m => !seller || sameSeller(m.sellerId, seller))
+    .sort((a, b) => live(b) - live(a));
+
+  const waves = pendingWaves.get(orderRecId);
+  const header = [
+    `📦 **${deal?.externalOrderId || orderRecId}**`,
+    deal && `Offer Status: ${deal.offerStatus || "—"}`,
+    deal && `Deal Status: ${deal.dealStatus || "—"}`,
+    waves && `waves pending: ${waves.waves.length - waves.next}`,
+  ].filter(Boolean).join(" · ");
+  return listReply(header, msgs.map(offerLine), `${header}\nNo offer messages${seller ? ` from ${seller}` : ""}.`);
+}
+
+async function handleCloseOrder({ options, clicker }) {
+  const reason = options.reason || "Closed by staff";
+  const { disabled, cancelledWaves } = await closeOrderOffers(options.order, reason);
+  console.log(`/close-order ${options.order} by ${clicker?.userId}: ${disabled} messages, ${cancelledWaves} waves`);
+  return { reply: `✅ Closed ${disabled} offer message(s)${cancelledWaves ? `, cancelled ${cancelledWaves} pending wave(s)` : ""}.` };
+}
+
+/** Same terms as the seller's last offer on the order, posted again under a new token; the old message is superseded */
+async function handleResendOffer({ options, clicker }) {
+  const { order: orderRecId, seller } = options;
+  // Oldest first: the API returns rows in view order, not in the order they were logged
+  const sellerMsgs = (await listOfferMessagesForOrder(orderRecId))
+    .filter(m => sameSeller(m.sellerId, seller))
+    .sort((a, b) => (a.createdAt?.getTime() || 0) - (b.createdAt?.getTime() || 0));
+  const last = sellerMsgs.findLast(isOpenOffer) || sellerMsgs[sellerMsgs.length - 1];
+  if (!last) return { reply: `⚠️ ${seller} has no offer on \`${orderRecId}\`.` };
+  if (isExpired(last)) return { reply: "⌛ That offer has expired; send a new order instead." };
+  if (await getExternalOfferStatus(orderRecId) === "Confirmed") {
+    return { reply: "⚠️ This order is already confirmed. Use /unconfirm first." };
+  }
+
+  const kind = last.mode === "confirm" ? "confirm" : "offer";
+  const offerToken = newOfferToken();
+  const [deal] = await listExternalDeals([orderRecId]);
+  const { channelId, messageId } = await repostSellerMessage(last.channelId, last.messageId, {
+    kind, offerToken, acceptAmount: formatMoney(last.offerPrice, last.locale), locale: last.locale,
+    sku: deal?.sku || deal?.productName, size: deal?.size,
+  });
+  await registerOffer({
+    offerToken,
+    orderRecId,
+    sellerId: last.sellerId,
+    inventoryRecordId: last.inventoryRecordId,
+    channelId,
+    messageId,
+    offerPrice: last.offerPrice,
+    vatLabel: last.vatLabel,
+    mode: kind,
+    expiresAt: last.expiresAt,
+    orderQty: last.orderQty,
+    wave: last.wave,
+    locale: last.locale,
+  });
+  if (isOpenOffer(last)) {
+    await closeOfferMessage(last, t(last.locale, "note.resent"), {
+      status: "Superseded",
+      reason: `Resent by staff (${clicker?.userId})`,
+    }).catch(e => console.warn("resend close warn:", e.message));
+  }
+  return { reply: `🔁 Resent to ${last.sellerId}: [message](${messageUrl(channelId, messageId)})` };
+}
+
+/**
+ * Undo a single-pair confirmation: clear Confirmed Seller / Price / Inventory Unit / By, Offer Status
+ * and Offer VAT Type, release the reservation, close the confirmed seller's message and re-open
+ * the offers it superseded.
+ * Runs under the order lock, so it can't interleave with a new confirmation.
+ */
+async function handleUnconfirm({ options, clicker }) {
+  const orderRecId = options.order;
+  return withLock(`order:${orderRecId}`, async () => {
+    const status = await getExternalOfferStatus(orderRecId);
+    if (status !== "Confirmed" && status !== "Partially Confirmed") {
+      return { reply: `ℹ️ \`${orderRecId}\` is not confirmed (Offer Status: ${status || "—"}).` };
+    }
+    if (readFinalizeProgress(await readExternalRecord(orderRecId)).salesIds.length) {
+      return { reply: "⛔ This deal is already finalized (Sales created); it can't be unconfirmed here." };
+    }
+    if ((await listExternalConfirmations(orderRecId)).length) {
+      return { reply: "⛔ Multi-quantity orders can't be unconfirmed here (confirmed units exist); please handle them in Airtable." };
+    }
+
+    await setExternalConfirmation({
+      orderRecId, confirmedPrice: null, confirmedSellerRecId: null, statusName: null, dealStatusName: null,
+      confirmedInventoryRecId: null, offerVatTypeLabel: null, confirmedByDiscordUserId: null,
+    });
+    const released = await releaseReservations(orderRecId, "Unconfirmed by staff");
+    await writeExternalFeedback(orderRecId, { feedback: `↩️ Confirmation withdrawn by staff (Discord ${clicker?.userId}).` })
+      .catch(e => console.warn("unconfirm feedback warn:", e.message));
+
+    const msgs = await listOfferMessagesForOrder(orderRecId);
+    const results = await Promise.allSettled(msgs.map(async (m) => {
+      if (m.status === "Accepted") {
+        await disableMessageButtonsGateway(m.channelId, m.messageId, t(m.locale, "note.withdrawn"), m.locale);
+        await setOfferMessageStatus(m.id, { status: "Closed", reason: "Unconfirmed by staff" });
+        return false;
+      }
+      // Superseded by the confirmation; rows replaced by /resend-offer stay closed
+      if (m.status !== "Superseded" || /^Resent/.test(m.closeReason || "") || isExpired(m)) return false;
+      await reopenMessageButtons(m.channelId, m.messageId, {
+        kind: m.mode === "confirm" ? "confirm" : "offer",
+        offerToken: m.token,
+        acceptAmount: formatMoney(m.offerPrice, m.locale),
+        note: t(m.locale, "note.reopened"),
+        locale: m.locale,
+      });
+      await setOfferMessageStatus(m.id, { status: "Sent" });
+      return true;
+    }));
+    results.filter(r => r.status === "rejected").forEach(r => console.warn("unconfirm message warn:", r.reason?.message));
+
+    const reopened = results.filter(r => r.status === "fulfilled" && r.value).length;
+    return { reply: `↩️ Unconfirmed \`${orderRecId}\`: ${reopened} offer(s) re-opened, ${released} reservation(s) released.` };
+  });
+}
+
+const STAFF_HANDLERS = {
+  "order-status": handleOrderStatus,
+  "close-order":  handleCloseOrder,
+  "resend-offer": handleResendOffer,
+  "unconfirm":    handleUnconfirm,
+};
+
+const SLASH_HANDLERS = {
+  "my-offers": handleMyOffers,
+  "my-deals":  handleMyDeals,
+  ...STAFF_HANDLERS,
+};
+
+await onSlashCommand(async (evt) => {
+  const run = SLASH_HANDLERS[evt.command];
+  if (!run) return { reply: "⚠️ Unknown command." };
+  if (STAFF_HANDLERS[evt.command] && !isStaff(evt.clicker)) return { reply: "⛔ Staff only." };
+  return run(evt);
+});
+
+/**
+ * Sold unit → Quantity decrement, reservation Consumed. The sale stands either way;
+ * oversells (no reserved or free unit left) and failed decrements are reported to staff.
+ * Returns whether the decrement happened (false = retry on the next finalize run).
+ */
+async function consumeSoldUnit({ orderRecId, inventoryId, offerToken, salesId }) {
+  if (!inventoryId) {
+    await sendStaffAlert(`⚠️ Sale \`${salesId}\` created but no Inventory record was found to decrement.`)
+      .catch(e => console.warn("decrement alert warn:", e.message));
+    return false;
+  }
+  try {
+    const { oversold, quantity } = await consumeReservation({ inventoryId, orderRecId, offerToken });
+    if (oversold) {
+      await sendStaffAlert(
+        `🚫 Oversold: Sale \`${salesId}\` (order \`${orderRecId}\`) used inventory \`${inventoryId}\` ` +
+        `without a reserved or free unit (quantity was ${quantity}).`
+      ).catch(e => console.warn("oversell alert warn:", e.message));
+    }
+    return true;
+  } catch (e) {
+    console.warn(`inventory decrement warn for ${inventoryId}:`, e.message);
+    await sendStaffAlert(
+      `⚠️ Sale \`${salesId}\` created but inventory \`${inventoryId}\` was not decremented: ${e.message}`
+    ).catch(err => console.warn("decrement alert warn:", err.message));
+    return false;
+  }
+}
+
 /* ========================================================================
    NEW: Finalize External Deal → create Sales + Affiliate Sales
    Triggered by Airtable Automation (when Deal Status=Deal Closed AND Final Deal Price present)
@@ -370,15 +1241,39 @@ app.post("/finalize-external-deal", async (req, res) => {
   const recordId = req.body?.recordId;
   if (!recordId) return res.status(400).json({ error: "Missing recordId" });
 
+  // One run per record at a time: a duplicate call waits, then finds the first run's progress
+  await withLock(`finalize:${recordId}`, () => finalizeExternalDeal(recordId, res));
+});
+
+// External Sales Log field names (config/fields.json)
+const EXT = FIELDS.external;
+
+/**
+ * Resumable: each step is saved on the External record (or its External Confirmations unit)
+ * right after it succeeds: Sales id, Inventory Decremented, Affiliate Sale ID. A re-run skips
+ * finished steps; a call after a complete run returns the original result.
+ */
+async function finalizeExternalDeal(recordId, res) {
   try {
     const f = await readExternalRecord(recordId);
 
+    const progress = readFinalizeProgress(f);
+    if (progress.salesIds.length && progress.affiliateId && progress.inventoryDecremented) {
+      return res.json({
+        ok: true,
+        salesId: progress.salesIds[0],
+        salesIds: progress.salesIds,
+        affiliateId: progress.affiliateId,
+        duplicate: true,
+      });
+    }
+
     // ---------- Required presence (unchanged) ----------
     const missing = [];
-    if (f["Final Deal Price"] == null)                          missing.push("Final Deal Price");
-    if (!Array.isArray(f["Buyer"]) || f["Buyer"].length === 0)  missing.push("Buyer");
-    if (!Array.isArray(f["Shipping Label"]) || f["Shipping Label"].length === 0)
-      missing.push("Shipping Label");
+    if (f[EXT.finalDealPrice] == null)                          missing.push(EXT.finalDealPrice);
+    if (!Array.isArray(f[EXT.buyer]) || f[EXT.buyer].length === 0)  missing.push(EXT.buyer);
+    if (!Array.isArray(f[EXT.shippingLabel]) || f[EXT.shippingLabel].length === 0)
+      missing.push(EXT.shippingLabel);
 
     if (missing.length) {
       await writeExternalFeedback(recordId, {
@@ -388,10 +1283,28 @@ app.post("/finalize-external-deal", async (req, res) => {
       return res.status(422).json({ error: "Missing required fields", missing });
     }
 
-    // ---------- Confirmed-offer guard (unchanged) ----------
-    const hasSKU            = Array.isArray(f["SKU"]) && f["SKU"].length > 0;
-    const hasSeller         = Array.isArray(f["Confirmed Seller"]) && f["Confirmed Seller"].length > 0;
-    const hasConfirmedPrice = f["Confirmed Offer Price"] != null;
+    // ---------- Multi-quantity: one confirmed unit per pair (empty for single-pair orders) ----------
+    // A failed read must not pass as "no units": that would finalize a multi-quantity order as one pair
+    let units;
+    try {
+      units = await listExternalConfirmations(recordId);
+    } catch (e) {
+      console.error("listExternalConfirmations error:", e.message);
+      await writeExternalFeedback(recordId, {
+        feedback: `❌ Could not read the External Confirmations: ${e.message}. Re-run to resume.`,
+        dealStatusName: "Closing",
+      });
+      return res.status(500).json({ error: "External Confirmations read failed", detail: e.message });
+    }
+
+    // ---------- Confirmed-offer guard ----------
+    const hasSKU            = Array.isArray(f[EXT.sku]) && f[EXT.sku].length > 0;
+    const hasSeller         = units.length
+      ? units.every(u => u.sellerRecId)
+      : Array.isArray(f[EXT.confirmedSeller]) && f[EXT.confirmedSeller].length > 0;
+    const hasConfirmedPrice = units.length
+      ? units.every(u => u.price != null)
+      : f[EXT.confirmedPrice] != null;
 
     if (!hasSKU || !hasSeller || !hasConfirmedPrice) {
       await writeExternalFeedback(recordId, {
@@ -401,11 +1314,23 @@ app.post("/finalize-external-deal", async (req, res) => {
       return res.status(422).json({ error: "Missing confirmed offer pieces" });
     }
 
+    // ---------- Multi-quantity: one VAT regime per order ----------
+    // Offer VAT Type isn't written for multi-quantity orders; the checks below and the invoice
+    // need one regime, so units confirmed under different VAT labels (e.g. Margin + VAT21) are refused.
+    const unitVatTypes = [...new Set(units.map(u => u.vatLabel || "—"))];
+    if (unitVatTypes.length > 1) {
+      await writeExternalFeedback(recordId, {
+        feedback: `❌ Confirmed units have different VAT types (${unitVatTypes.join(", ")}). Split the order or fix the units' VAT Type.`,
+        dealStatusName: "Closing",
+      });
+      return res.status(422).json({ error: "Mixed VAT types across units", vatTypes: unitVatTypes });
+    }
+
     // ---------- NEW: Selling VAT handling ----------
-    const offerVatType   = toText(f["Offer VAT Type"]);     // stored earlier at confirmation
-    const sellingVatSel  = toText(f["Selling VAT Type"]);   // employee-chosen single-select (VAT21 | VAT0 | Margin | Private)
-    const buyerCountry   = toText(f["Buyer Country"]);      // lookup
-    const buyerVatId     = toText(f["Buyer VAT ID"]);       // lookup
+    const offerVatType   = units.length ? units[0].vatLabel : toText(f[EXT.offerVatType]); // stored earlier at confirmation
+    const sellingVatSel  = toText(f[EXT.sellingVatType]);   // employee-chosen single-select (VAT21 | VAT0 | Margin | Private)
+    const buyerCountry   = toText(f[EXT.buyerCountry]);      // lookup
+    const buyerVatId     = toText(f[EXT.buyerVatId]);       // lookup
     const isPrivateSel   = (sellingVatSel || "").toLowerCase() === "private";
 
     // Map "Private" to the real invoice VAT regime (Margin stays Margin; otherwise VAT21)
@@ -438,7 +1363,7 @@ app.post("/finalize-external-deal", async (req, res) => {
 
     // Structural validity
     const offerIsMargin   = (offerVatType || "").toUpperCase().includes("MARGIN");
-    const buyerIsNL       = isNL(buyerCountry);
+    const buyerIsNL       = isDomestic(buyerCountry);
     const hasBuyerVatId   = !!buyerVatId;
 
     if (offerIsMargin) {
@@ -501,13 +1426,13 @@ app.post("/finalize-external-deal", async (req, res) => {
       return null;
     };
 
-    const finalDeal     = toNumber(f["Final Deal Price"]);
-    const exceptionOk   = !!f["Exception Approved?"];
+    const finalDeal     = toNumber(f[EXT.finalDealPrice]);
+    const exceptionOk   = !!f[EXT.exceptionApproved];
 
     const minByVat = {
-      "VAT0":   f["Minimum Deal Price (VAT 0%)"],
-      "VAT21":  f["Minimum Deal Price (VAT 21%)"],
-      "Margin": f["Minimum Deal Price (Margin)"],
+      "VAT0":   f[EXT.minDealPriceVat0],
+      "VAT21":  f[EXT.minDealPriceVat21],
+      "Margin": f[EXT.minDealPriceMargin],
     };
     const minForMapped = toNumber(minByVat[mappedVat]);
 
@@ -522,36 +1447,96 @@ app.post("/finalize-external-deal", async (req, res) => {
     // ---------- Create Sales with VAT override ----------
     // Sales.VAT Type moet de inkoop-kant blijven (Offer VAT Type),
     // niet de Selling VAT Type richting buyer.
-    let salesId;
+    // Multi-quantity: one Sales row per confirmed unit, each with its own seller / price / VAT / Inventory.
+    const purchaseVatType = offerVatType; // e.g. "VAT21" / "VAT0" / "Margin"
+    const lines = units.length
+      ? units.map(unit => ({ unit, salesId: unit.salesId, decremented: unit.inventoryDecremented }))
+      : [{ unit: undefined, salesId: progress.salesIds[0], decremented: progress.inventoryDecremented }];
+    const doneSalesIds = () => lines.map(l => l.salesId).filter(Boolean);
+
+    // Every unit's Inventory row in one batched read (multi-quantity orders), reused below
+    const inventory = createInventoryAccessor();
+    await inventory.load(units.map(u => u.inventoryRecId)).catch(e => console.warn("inventory load warn:", e.message));
+
     try {
-      const purchaseVatType = offerVatType; // e.g. "VAT21" / "VAT0" / "Margin"
-      salesId = await createSalesFromExternal(f, { overrideVatType: purchaseVatType });
+      for (const line of lines) {
+        if (line.salesId) continue; // created by an earlier run
+        const { id, inventoryId } = await createSalesFromExternal(f, { overrideVatType: purchaseVatType, unit: line.unit, inventory });
+        line.salesId = id;
+        line.inventoryId = inventoryId;
+        if (line.unit) await linkConfirmationSale(line.unit.id, id);
+        await saveFinalizeProgress(recordId, { salesIds: doneSalesIds() });
+      }
     } catch (e) {
+      const done = doneSalesIds().length ? ` (already created: ${doneSalesIds().join(", ")})` : "";
       await writeExternalFeedback(recordId, {
-        feedback: `❌ Could not create Sales: ${e.message}`,
+        feedback: `❌ Could not create Sales${done}: ${e.message}. Re-run to resume.`,
         dealStatusName: "Closing",
       });
-      return res.status(500).json({ error: "Sales create failed", detail: e.message });
+      return res.status(500).json({ error: "Sales create failed", salesIds: doneSalesIds(), detail: e.message });
     }
+    const salesIds = doneSalesIds();
+    const salesId = salesIds[0];
 
-    // ---------- Create Affiliate Sales (unchanged logic) ----------
+    // ---------- Inventory: reservation → Quantity decrement, once per sold unit ----------
+    // The progress saves must succeed: a re-run that doesn't see them would decrement again
     try {
-      await createAffiliateFromExternal(f, salesId);
+      for (const line of lines) {
+        if (line.decremented) continue;
+        const inventoryId = line.inventoryId || await resolveSaleInventoryId(f, line.unit, inventory).catch(e => {
+          console.warn(`resolveSaleInventoryId warn for ${line.salesId}:`, e.message);
+          return null;
+        });
+        line.decremented = await consumeSoldUnit({
+          orderRecId: recordId, inventoryId, offerToken: line.unit?.offerToken, salesId: line.salesId,
+        });
+        if (line.decremented && line.unit) await markConfirmationDecremented(line.unit.id);
+      }
+      if (lines.every(l => l.decremented) && !progress.inventoryDecremented) {
+        await saveFinalizeProgress(recordId, { inventoryDecremented: true });
+        // Reservations on an Inventory row that was replaced by the fallback search
+        fireAndForget("reservation release", releaseReservations(recordId, "Finalized"));
+      }
     } catch (e) {
       await writeExternalFeedback(recordId, {
-        feedback: `⚠️ Sales created (${salesId}) but Affiliate Sales failed: ${e.message}`,
+        feedback: `⚠️ Sales created (${salesIds.join(", ")}) but the inventory step failed: ${e.message}. Re-run to resume.`,
         dealStatusName: "Closing",
       });
-      return res.status(500).json({ error: "Affiliate Sales create failed", salesId, detail: e.message });
+      return res.status(500).json({ error: "Inventory decrement failed", salesId, salesIds, detail: e.message });
+    }
+
+    // ---------- Create Affiliate Sales (linked to every Sales row) ----------
+    let affiliateId = progress.affiliateId;
+    if (!affiliateId) {
+      try {
+        affiliateId = await createAffiliateFromExternal(f, salesIds);
+      } catch (e) {
+        await writeExternalFeedback(recordId, {
+          feedback: `⚠️ Sales created (${salesIds.join(", ")}) but Affiliate Sales failed: ${e.message}. Re-run to resume.`,
+          dealStatusName: "Closing",
+        });
+        return res.status(500).json({ error: "Affiliate Sales create failed", salesId, salesIds, detail: e.message });
+      }
+      try {
+        await saveFinalizeProgress(recordId, { affiliateId });
+      } catch (e) {
+        await writeExternalFeedback(recordId, {
+          feedback: `⚠️ Affiliate Sale ${affiliateId} created but not recorded on this deal: ${e.message}. ` +
+            `Fill in the Affiliate Sale ID, then re-run to resume.`,
+          dealStatusName: "Closing",
+        });
+        return res.status(500).json({ error: "Finalize progress save failed", salesIds, affiliateId, detail: e.message });
+      }
     }
 
     // ---------- Success ----------
+    const stockNote = lines.every(l => l.decremented) ? "" : " ⚠️ Inventory not fully decremented (staff notified); re-run to retry.";
     await writeExternalFeedback(recordId, {
-      feedback: `✅ Deal processed. Sales created: ${salesId}. Affiliate Sales created successfully.`,
+      feedback: `✅ Deal processed. Sales created: ${salesIds.join(", ")}. Affiliate Sales created successfully.${stockNote}`,
       dealStatusName: "Deal Processed",
     });
 
-    return res.json({ ok: true, salesId });
+    return res.json({ ok: true, salesId, salesIds, affiliateId });
 
   } catch (e) {
     console.error("finalize-external-deal error:", e);
@@ -563,7 +1548,14 @@ app.post("/finalize-external-deal", async (req, res) => {
     } catch (_) {}
     return res.status(500).json({ error: e.message });
   }
-});
+}
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log("HTTP listening on :" + PORT));
+// Exported for the flow tests (test/flows.test.js), which listen on PORT=0 and close it when done
+export const server = app.listen(PORT, () => console.log("HTTP listening on :" + server.address().port));
+
+validateSchema().then(({ ok, errors, warnings }) => {
+  for (const w of warnings) console.warn("[schema]", w);
+  for (const e of errors) console.error("[schema]", e);
+  if (ok) console.log(`[schema] Airtable base OK (${warnings.length} warning(s))`);
+});
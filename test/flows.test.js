@@ -0,0 +1,267 @@
+// Offer flows end to end through server.js on the in-memory store (STORE_BACKEND=memory), with
+// Discord replaced by test/helpers/discord.js. Run with `npm test`.
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { register } from "node:module";
+
+Object.assign(process.env, {
+  STORE_BACKEND: "memory", PORT: "0", HOME_VAT_COUNTRY: "NL", INVENTORY_CACHE_TTL_MS: "0", DISCORD_STAFF_ROLE_IDS: "999",
+});
+delete process.env.STORE_SEED_FILE;
+register("./helpers/hooks.js", import.meta.url);
+
+const discord = await import("./helpers/discord.js");
+const { seedStore, dumpStore } = await import("../lib/store/memory.js");
+const { server } = await import("../server.js");
+
+const ORDER = "recOrder1";
+const SELLERS = {
+  A: { recId: "recSellerA", userId: "111", inventoryId: "recInvA", country: "Netherlands" },
+  B: { recId: "recSellerB", userId: "222", inventoryId: "recInvB", country: "Netherlands" },
+  C: { recId: "recSellerC", userId: "333", inventoryId: "recInvC", country: "Germany" },
+};
+
+function seed({ quantities = {} } = {}) {
+  seedStore({
+    sellers: Object.entries(SELLERS).map(([k, s]) => ({ id: s.recId, sellerId: `SE-${k}`, discordUserIds: [s.userId] })),
+    inventory: Object.entries(SELLERS).map(([k, s]) => ({
+      id: s.inventoryId, sellerRecId: s.recId, sellerCountry: s.country, quantity: quantities[k] ?? 1, stockLevelId: "recStock1",
+    })),
+    external: [{
+      id: ORDER,
+      fields: {
+        "SKU": ["recSku1"],
+        "SKU (from SKU)": ["DZ5485-612"],
+        "Product Name": "Jordan 1 Retro High OG",
+        "Size": "42",
+        "Final Deal Price": 180,
+        "Buyer": ["recBuyer1"],
+        "Buyer Country": "Netherlands",
+        "Shipping Label": [{ url: "https://example.com/label.pdf" }],
+        "Selling VAT Type": "VAT21",
+        "Stock Levels Link": ["recStock1"],
+      },
+    }],
+  });
+}
+
+let baseUrl;
+before(async () => {
+  if (!server.listening) await once(server, "listening");
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+beforeEach(() => {
+  seed();
+  discord.resetDiscord();
+});
+
+async function post(path, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+/** Offer the order to these sellers (all asking €150, our offer €150: confirmation requests) */
+async function sendOrder(keys, { quantity = 1, vatType = () => "VAT21" } = {}) {
+  const res = await post("/external-offers", {
+    order: { airtableRecordId: ORDER, orderId: "EXT-1", sku: "DZ5485-612", size: "42", quantity },
+    sellers: keys.map(k => ({
+      sellerId: `SE-${k}`,
+      sellerName: k,
+      sellerCountry: SELLERS[k].country,
+      sellerLanguage: "en",
+      sellerVatType: vatType(k),
+      sellerSuggestedRaw: 150,
+      baseOfferIncl: 150,
+      inventoryRecordId: SELLERS[k].inventoryId,
+    })),
+  });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+}
+
+const offerOf = (k) => dumpStore().offers.find(o => o.sellerId === `SE-${k}`);
+const externalFields = () => dumpStore().external.find(e => e.id === ORDER);
+
+/** A button click by seller `k` on their offer message */
+function clickAs(k, action, extra = {}) {
+  const o = offerOf(k);
+  return discord.click({
+    action,
+    offerToken: o.token,
+    clicker: { userId: SELLERS[k].userId, roleIds: [] },
+    channelId: o.channelId,
+    messageId: o.messageId,
+    ...extra,
+  });
+}
+
+test("confirm reserves the seller's unit and closes the other offers", async () => {
+  await sendOrder(["A", "B"]);
+  const { reply } = await clickAs("A", "confirm_ext");
+  assert.match(reply, /^✅ Confirmed/);
+
+  const { reservations } = dumpStore();
+  assert.deepEqual(reservations.map(r => [r.inventoryId, r.orderRecId, r.status]), [["recInvA", ORDER, "Active"]]);
+  assert.equal(externalFields()["Offer Status"], "Confirmed");
+  assert.deepEqual(externalFields()["Confirmed Seller"], ["recSellerA"]);
+  assert.equal(offerOf("A").status, "Accepted");
+  assert.equal(offerOf("B").status, "Superseded");
+
+  // B's pair is still free: only A's unit is held
+  assert.match((await clickAs("B", "confirm_ext")).reply, /Already taken/);
+  assert.equal(dumpStore().reservations.length, 1);
+});
+
+test("a double click by the winning seller is a duplicate, not taken", async () => {
+  await sendOrder(["A"]);
+  // Both clicks read the row while it's still open; the second waits for the order lock
+  const replies = (await Promise.all([clickAs("A", "confirm_ext"), clickAs("A", "confirm_ext")])).map(r => r.reply);
+  assert.match(replies[0], /^✅ Confirmed/);
+  assert.match(replies[1], /already confirmed this offer/);
+
+  assert.equal(offerOf("A").status, "Accepted");
+  assert.match(discord.messageOfToken(offerOf("A").token).note, /Confirmed by SE-A/);
+});
+
+test("a seller without free stock is refused and staff is alerted", async () => {
+  seed({ quantities: { A: 0 } });
+  await sendOrder(["A"]);
+  assert.match((await clickAs("A", "confirm_ext")).reply, /no free stock/);
+
+  assert.equal(dumpStore().reservations.length, 0);
+  assert.notEqual(externalFields()["Offer Status"], "Confirmed");
+  assert.match(discord.staffAlerts[0], /Oversell attempt blocked/);
+});
+
+test("deny stores the reason and disables the message", async () => {
+  await sendOrder(["A"]);
+  const { reply } = await clickAs("A", "deny_ext", { denyReason: "Price too low" });
+  assert.match(reply, /declined/);
+
+  const o = offerOf("A");
+  assert.equal(o.status, "Denied");
+  assert.equal(o.denyReason, "Price too low");
+  assert.equal(o.responderId, SELLERS.A.userId);
+  const msg = discord.messageOfToken(o.token);
+  assert.equal(msg.disabled, true);
+  assert.match(msg.note, /SE-A denied: Price too low/);
+  assert.equal(dumpStore().reservations.length, 0);
+});
+
+test("only the seller's linked Discord account can answer", async () => {
+  await sendOrder(["A"]);
+  const o = offerOf("A");
+  const { reply } = await discord.click({
+    action: "confirm_ext", offerToken: o.token, clicker: { userId: SELLERS.B.userId, roleIds: [] },
+    channelId: o.channelId, messageId: o.messageId,
+  });
+  assert.match(reply, /Only SE-A's linked Discord account/);
+  assert.equal(offerOf("A").status, "Sent");
+});
+
+test("/my-offers and /my-deals only list the caller's own offers", async () => {
+  await sendOrder(["A", "B"], { quantity: 2 });
+  const slashAs = (k, command) => discord.slash({ command, clicker: { userId: SELLERS[k].userId, roleIds: [] } });
+
+  const offers = (await slashAs("A", "my-offers")).reply;
+  assert.match(offers, /open offers \(1\)/);
+  assert.ok(offers.includes(`/${offerOf("A").messageId})`));
+
+  await clickAs("A", "confirm_ext");
+  assert.match((await slashAs("A", "my-offers")).reply, /no open offers/);
+  assert.match((await slashAs("A", "my-deals")).reply, /\(1\)/);
+  assert.match((await slashAs("B", "my-offers")).reply, /open offers \(1\)/);
+});
+
+test("multi-quantity: each confirm takes one unit until the order is filled", async () => {
+  await sendOrder(["A", "B", "C"], { quantity: 2 });
+
+  assert.match((await clickAs("A", "confirm_ext")).reply, /\(1\/2 pairs confirmed\)/);
+  assert.equal(externalFields()["Offer Status"], "Partially Confirmed");
+  assert.equal(offerOf("B").status, "Sent");
+
+  assert.match((await clickAs("B", "confirm_ext")).reply, /\(2\/2 pairs confirmed\)/);
+  assert.equal(externalFields()["Offer Status"], "Confirmed");
+  assert.deepEqual(externalFields()["Confirmed Seller"], ["recSellerA", "recSellerB"]);
+
+  const { units, reservations } = dumpStore();
+  assert.deepEqual(units.map(u => u.sellerRecId), ["recSellerA", "recSellerB"]);
+  assert.equal(reservations.filter(r => r.status === "Active").length, 2);
+  assert.equal(offerOf("C").status, "Superseded");
+  assert.match((await clickAs("C", "confirm_ext")).reply, /Already taken/);
+});
+
+test("multi-quantity: a unit under another VAT type is refused before it's written", async () => {
+  await sendOrder(["A", "C"], { quantity: 2, vatType: (k) => (k === "A" ? "Margin" : "VAT0") });
+
+  await clickAs("A", "confirm_ext");
+  const { reply } = await clickAs("C", "confirm_ext");
+  assert.match(reply, /confirmed as Margin/);
+
+  const { units, reservations } = dumpStore();
+  assert.equal(units.length, 1);
+  assert.equal(reservations.length, 1);
+  assert.equal(externalFields()["Offer Status"], "Partially Confirmed");
+  assert.equal(discord.staffAlerts.length, 1);
+});
+
+test("/unconfirm clears the confirmation and re-opens the superseded offers", async () => {
+  await sendOrder(["A", "B"]);
+  await clickAs("A", "confirm_ext");
+
+  const { reply } = await discord.slash({ command: "unconfirm", options: { order: ORDER }, clicker: { userId: "900", roleIds: ["999"] } });
+  assert.match(reply, /1 offer\(s\) re-opened, 1 reservation\(s\) released/);
+
+  const f = externalFields();
+  assert.equal(f["Offer Status"], null);
+  assert.deepEqual(f["Confirmed Seller"], []);
+  assert.deepEqual(f["Confirmed Inventory Unit"], []);
+  assert.equal(f["Offer VAT Type"], null);
+  assert.equal(f["Confirmed By (Discord)"], null);
+  assert.equal(offerOf("A").status, "Closed");
+  assert.equal(offerOf("B").status, "Sent");
+  assert.match((await clickAs("B", "confirm_ext")).reply, /^✅ Confirmed/);
+});
+
+test("finalize is idempotent: a re-run returns the first result without new rows or decrements", async () => {
+  await sendOrder(["A"]);
+  await clickAs("A", "confirm_ext");
+
+  const first = await post("/finalize-external-deal", { recordId: ORDER });
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  const again = await post("/finalize-external-deal", { recordId: ORDER });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.duplicate, true);
+  assert.deepEqual(again.body.salesIds, first.body.salesIds);
+  assert.equal(again.body.affiliateId, first.body.affiliateId);
+
+  const { sales, affiliateSales, inventory, reservations } = dumpStore();
+  assert.equal(sales.length, 1);
+  assert.equal(affiliateSales.length, 1);
+  assert.equal(inventory.find(i => i.id === "recInvA").quantity, 0);
+  assert.deepEqual(reservations.map(r => r.status), ["Consumed"]);
+  assert.equal(externalFields()["Deal Status"], "Deal Processed");
+});
+
+test("finalize of a multi-quantity order books one Sale per unit", async () => {
+  await sendOrder(["A", "B"], { quantity: 2 });
+  await clickAs("A", "confirm_ext");
+  await clickAs("B", "confirm_ext");
+
+  const res = await post("/finalize-external-deal", { recordId: ORDER });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.salesIds.length, 2);
+
+  const { sales, units, inventory } = dumpStore();
+  assert.deepEqual(sales.map(s => s.inventoryId), ["recInvA", "recInvB"]);
+  assert.ok(units.every(u => u.salesId && u.inventoryDecremented));
+  assert.ok(inventory.filter(i => i.id !== "recInvC").every(i => i.quantity === 0));
+});
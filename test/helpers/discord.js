@@ -0,0 +1,55 @@
+// Stand-in for lib/discord.js when server.js runs under test (see test/helpers/hooks.js): messages are
+// kept in memory instead of being sent, and the registered handlers can be called directly.
+export { buildExternalOfferMessage, buildExternalConfirmationMessage, messageUrl } from "../../lib/discord.js";
+
+let nextMessageId = 1;
+let buttonHandler = null;
+let slashHandler = null;
+
+export const messages = new Map(); // messageId → { channelId, kind, args, note, disabled }
+export const staffAlerts = [];
+
+export function resetDiscord() {
+  messages.clear();
+  staffAlerts.length = 0;
+}
+
+function post(channelId, kind, args) {
+  const messageId = String(nextMessageId++);
+  messages.set(messageId, { channelId, kind, args, note: null, disabled: false });
+  return { channelId, messageId };
+}
+
+/** The seller message posted with `offerToken` */
+export const messageOfToken = (offerToken) =>
+  [...messages.entries()].map(([messageId, m]) => ({ messageId, ...m })).find(m => m.args?.offerToken === offerToken);
+
+/** A seller click or staff action, as lib/discord.js hands it to server.js */
+export const click = (evt) => buttonHandler({ locale: "en", ...evt });
+export const slash = (evt) => slashHandler({ locale: "en", ...evt });
+
+export async function initDiscord() {}
+export async function onButtonInteraction(handler) { buttonHandler = handler; }
+export async function onSlashCommand(handler) { slashHandler = handler; }
+
+export async function sendExternalOfferMessageGateway(args) { return post(`chan-${args.sellerId}`, "offer", args); }
+export async function sendExternalConfirmationMessageGateway(args) { return post(`chan-${args.sellerId}`, "confirm", args); }
+export async function sendCounterOfferStaffMessage(args) { return post("staff", "counter", args); }
+export async function sendDealUpdateMessage(args) { return post(`chan-${args.sellerId}`, "deal", args); }
+
+export async function disableMessageButtonsGateway(channelId, messageId, note) {
+  const m = messages.get(messageId);
+  if (m) Object.assign(m, { note, disabled: true });
+}
+export async function reopenMessageButtons(channelId, messageId, { offerToken, note }) {
+  const m = messages.get(messageId);
+  if (m) Object.assign(m, { note, disabled: false, args: { ...m.args, offerToken } });
+}
+export async function repostSellerMessage(channelId, messageId, { kind, offerToken }) {
+  return post(channelId, kind, { ...messages.get(messageId)?.args, offerToken });
+}
+export async function updateMessageNote(channelId, messageId, note) {
+  const m = messages.get(messageId);
+  if (m) m.note = note;
+}
+export async function sendStaffAlert(content) { staffAlerts.push(content); }
@@ -0,0 +1,7 @@
+// Module hook for tests: server.js gets test/helpers/discord.js instead of lib/discord.js
+export async function resolve(specifier, context, next) {
+  if (specifier === "./lib/discord.js" && context.parentURL?.endsWith("/server.js")) {
+    return next(new URL("./discord.js", import.meta.url).href, context);
+  }
+  return next(specifier, context);
+}
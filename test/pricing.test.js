@@ -0,0 +1,90 @@
+// Pricing rules per VAT regime (lib/pricing.js). Run with `npm test`.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// The home country is read on import; pin it so the domestic cases don't depend on the environment
+process.env.HOME_VAT_COUNTRY = "NL";
+const { decideModeAndDisplay, applyDomesticVatRule, countryCode, vatTag } = await import("../lib/pricing.js");
+
+const decide = (args) => decideModeAndDisplay({ sellerSuggestedRaw: 150, ourOfferIncl: 120, ...args });
+
+test("Margin: amounts compared as-is, tagged Margin", () => {
+  const r = decide({ vatTypeRaw: "Margin", sellerCountry: "Germany" });
+  assert.equal(r.mode, "offer");
+  assert.equal(r.confirmedVatType, "Margin");
+  assert.equal(r.display.yourAmount, 150);
+  assert.equal(r.display.ourAmount, 120);
+  assert.equal(r.display.vatTagOur, "(Margin)");
+
+  assert.equal(decide({ vatTypeRaw: "Margin", ourOfferIncl: 150 }).mode, "confirm");
+});
+
+test("VAT inclusive: compared as-is, tagged with the seller's rate (DE 19%)", () => {
+  const r = decide({ vatTypeRaw: "VAT21", sellerCountry: "Germany" });
+  assert.equal(r.mode, "offer");
+  assert.equal(r.confirmedVatType, "VAT21");
+  assert.equal(r.decision.sellerVatRate, 0.19);
+  assert.equal(r.display.ourAmount, 120);
+  assert.equal(r.display.vatTagYour, "(VAT 19%)");
+  assert.equal(r.display.vatTagOur, "(VAT 19%)");
+});
+
+test("VAT inclusive: an explicit seller rate wins over the country table", () => {
+  const r = decide({ vatTypeRaw: "VAT 21%", sellerCountry: "Germany", sellerVatPct: 25.5 });
+  assert.equal(r.decision.sellerVatRate, 0.255);
+  assert.equal(r.display.vatTagOur, "(VAT 25.5%)");
+});
+
+test("VAT0, foreign seller: our incl. offer brought back to net at the seller's rate", () => {
+  const r = decideModeAndDisplay({ vatTypeRaw: "VAT0", sellerCountry: "Germany", sellerSuggestedRaw: 110, ourOfferIncl: 119 });
+  assert.equal(r.confirmedVatType, "VAT0");
+  assert.equal(Math.round(r.display.ourAmount * 100) / 100, 100);
+  assert.equal(r.display.yourAmount, 110);
+  assert.equal(r.display.vatTagOur, "(VAT 0%)");
+  assert.equal(r.mode, "offer");
+
+  assert.equal(decideModeAndDisplay({ vatTypeRaw: "VAT0", sellerCountry: "DE", sellerSuggestedRaw: 90, ourOfferIncl: 119 }).mode, "confirm");
+});
+
+test("VAT0, domestic seller: net price plus home VAT, stored as VAT21", () => {
+  const r = decideModeAndDisplay({ vatTypeRaw: "VAT0", sellerCountry: "Nederland", sellerSuggestedRaw: 100, ourOfferIncl: 130 });
+  assert.equal(r.confirmedVatType, "VAT21");
+  assert.equal(Math.round(r.display.yourAmount * 100) / 100, 121);
+  assert.equal(r.display.ourAmount, 130);
+  assert.equal(r.display.vatTagYour, "(VAT 21%)");
+  assert.equal(r.mode, "confirm");
+
+  assert.equal(decideModeAndDisplay({ vatTypeRaw: "VAT0", sellerCountry: "NL", sellerSuggestedRaw: 100, ourOfferIncl: 120 }).mode, "offer");
+});
+
+test("labels and VAT tags follow the seller's locale", () => {
+  const r = decide({ vatTypeRaw: "VAT21", sellerCountry: "Germany", locale: "de" });
+  assert.equal(r.display.yourLabel, "Dein Preis");
+  assert.match(r.display.vatTagOur, /^\(MwSt\. 19\s%\)$/u); // Intl puts a no-break space before "%"
+  assert.equal(vatTag("VAT21", 25.5, "nl"), "(btw 25,5%)");
+  assert.equal(vatTag("Margin", undefined, "nl"), "(Marge)");
+});
+
+test("applyDomesticVatRule: domestic sellers are stored as VAT21", () => {
+  assert.deepEqual(applyDomesticVatRule({ sellerCountry: "NL", price: 100, vatLabel: "VAT0" }), { price: 121, vatLabel: "VAT21" });
+  assert.deepEqual(applyDomesticVatRule({ sellerCountry: "Netherlands", price: 150, vatLabel: "VAT21" }), { price: 150, vatLabel: "VAT21" });
+  assert.deepEqual(applyDomesticVatRule({ sellerCountry: "NL", price: 150, vatLabel: "Margin" }), { price: 150, vatLabel: "Margin" });
+  assert.deepEqual(applyDomesticVatRule({ sellerCountry: "Germany", price: 100, vatLabel: "VAT0" }), { price: 100, vatLabel: "VAT0" });
+});
+
+test("countryCode: ISO codes, names in several languages and flags", () => {
+  const cases = {
+    "nl": "NL", "NLD": "NL", "The Netherlands": "NL", "Nederland": "NL", "Holland": "NL",
+    "Deutschland": "DE", "duitsland": "DE", "🇩🇪": "DE", "België": "BE", "Österreich": "AT",
+    "Netherlands (NL)": "NL", "🇳🇱 Nederland": "NL", "Belgium (BE)": "BE",
+  };
+  for (const [raw, code] of Object.entries(cases)) assert.equal(countryCode(raw), code, raw);
+});
+
+test("countryCode: only whole names match, unknown countries are null", () => {
+  assert.equal(countryCode("Northern Ireland"), null);
+  assert.equal(countryCode("Ireland"), "IE");
+  assert.equal(countryCode("United Kingdom"), null);
+  assert.equal(countryCode(""), null);
+  assert.equal(countryCode(null), null);
+});